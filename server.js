@@ -3,68 +3,664 @@ const ModbusRTU = require("modbus-serial");
 const express = require("express");
 const path = require("path");
 const fs = require("fs");
+const net = require("net");
+const crypto = require("crypto");
 const { SerialPort } = require('serialport');
+const mqtt = require("mqtt");
+const Ajv = require("ajv");
 
 // Конфигурация
 const OPC_UA_PORT = 52000;
 const WEB_PORT = 3000;
 const CONFIG_FILE = 'devices.json';
+const CHANNELS_FILE = 'channels.json';
+const OPCUA_SECURITY_FILE = 'opcua-security.json';
+const USERS_FILE = 'users.json';
+const MODBUS_SLAVE_FILE = 'modbus-slave.json';
+const MQTT_FILE = 'mqtt.json';
+
+// Каждое сохранение конфигурации устройств копируется в каталог версий,
+// хранятся последние CONFIG_VERSIONS_LIMIT копий
+const CONFIG_VERSIONS_DIR = 'config-versions';
+const CONFIG_VERSIONS_LIMIT = 20;
+const CONFIG_VERSION_ID = /^[\w-]+$/;
+const CONFIG_VERSION_FILE = /^devices-([\w-]+)\.json$/;
+
+// Роли веб-интерфейса по возрастанию прав: просмотр значений, запись в теги,
+// управление устройствами и настройками
+const USER_ROLES = ['viewer', 'operator', 'admin'];
+// Страницы администрирования, которые лежат в public рядом с общими файлами
+const ADMIN_PAGES = ['add-device.html', 'channels.html', 'modbus-slave.html', 'mqtt.html', 'opcua-security.html', 'users.html'];
+const SESSION_COOKIE = 'session';
+const SESSION_TTL = 12 * 60 * 60 * 1000;
+
+// Режимы и политики безопасности OPC UA, которые можно разрешить в настройках
+const SECURITY_MODES = ['None', 'Sign', 'SignAndEncrypt'];
+const SECURITY_POLICIES = ['None', 'Basic256Sha256', 'Aes128_Sha256_RsaOaep', 'Aes256_Sha256_RsaPss'];
+const DEFAULT_OPCUA_SECURITY = {
+    securityModes: SECURITY_MODES,
+    securityPolicies: SECURITY_POLICIES,
+    allowAnonymous: true,
+    // Неизвестные сертификаты клиентов попадают в отклоненные, пока администратор не доверит им
+    autoAcceptCertificates: false,
+    users: []
+};
+
+// Групповое чтение: максимальный разрыв адресов и размер блока по умолчанию
+const DEFAULT_MAX_READ_GAP = 10;
+const DEFAULT_MAX_READ_BLOCK_SIZE = 100;
+// Ограничения протокола Modbus на одно чтение
+const MAX_REGISTERS_PER_READ = 125;
+const MAX_BITS_PER_READ = 2000;
+
+// Порядок байт для многорегистровых значений (A - старший байт):
+// ABCD - big-endian, старшее слово первым (по умолчанию)
+// CDAB - младшее слово первым
+// BADC - байты внутри слова переставлены
+// DCBA - little-endian
+const BYTE_ORDERS = ['ABCD', 'CDAB', 'BADC', 'DCBA'];
+
+// Таймаут запроса, число повторов и задержки переподключения по умолчанию
+const DEFAULT_REQUEST_TIMEOUT = 1000;
+const DEFAULT_CONNECT_TIMEOUT = 5000;
+const CLOSE_TIMEOUT = 1000;
+const DEFAULT_RETRY_COUNT = 1;
+const DEFAULT_RECONNECT_DELAY = 1000;
+const DEFAULT_MAX_RECONNECT_DELAY = 60000;
+
+// Типы подключения: сетевые (адрес - IP) и последовательные (адрес - COM порт).
+// rtuovertcp - кадры RTU без заголовка MBAP через TCP, например преобразователь RS-485/Ethernet
+const NETWORK_CONNECTION_TYPES = ['tcp', 'rtuovertcp', 'udp'];
+const SERIAL_CONNECTION_TYPES = ['rtu', 'ascii'];
+const CONNECTION_TYPES = [...NETWORK_CONNECTION_TYPES, ...SERIAL_CONNECTION_TYPES];
+
+// Устройство listen ждет входящего подключения модема на своем порту. Если на порту
+// несколько устройств, модем должен прислать пакет регистрации в течение этого времени
+const LISTEN_CONNECTION_TYPE = 'listen';
+const REGISTRATION_TIMEOUT = 5000;
+
+// Устройство opcua - удаленный OPC UA сервер, например встроенный в ПЛК. Теги задаются
+// NodeId и приходят по подписке, интервал публикации равен интервалу опроса
+const OPCUA_DEVICE_TYPE = 'opcua';
+const OPCUA_TAG_DATA_TYPES = ['boolean', 'int16', 'uint16', 'int32', 'uint32', 'int64', 'uint64', 'float', 'double', 'string'];
+// Без изменений сервер присылает пустую публикацию каждые столько интервалов,
+// она подтверждает значения раньше, чем они устареют
+const OPCUA_KEEPALIVE_COUNT = 2;
+
+// Устройство calculated не опрашивается: его теги вычисляются по выражениям над
+// тегами других устройств. Ссылка [Устройство/Тег] или [Тег] этого же устройства
+const CALCULATED_DEVICE_TYPE = 'calculated';
+const CALCULATED_TAG_DATA_TYPES = ['boolean', 'int16', 'uint16', 'int32', 'uint32', 'float', 'double'];
+// Приоритет операторов как в JavaScript, тернарный ?: разбирается отдельно
+const CALCULATED_BINARY_OPERATORS = {
+    '||': { precedence: 1, apply: (a, b) => a || b },
+    '&&': { precedence: 2, apply: (a, b) => a && b },
+    '|': { precedence: 3, apply: (a, b) => a | b },
+    '^': { precedence: 4, apply: (a, b) => a ^ b },
+    '&': { precedence: 5, apply: (a, b) => a & b },
+    '==': { precedence: 6, apply: (a, b) => Number(a) === Number(b) },
+    '!=': { precedence: 6, apply: (a, b) => Number(a) !== Number(b) },
+    '<': { precedence: 7, apply: (a, b) => a < b },
+    '<=': { precedence: 7, apply: (a, b) => a <= b },
+    '>': { precedence: 7, apply: (a, b) => a > b },
+    '>=': { precedence: 7, apply: (a, b) => a >= b },
+    '<<': { precedence: 8, apply: (a, b) => a << b },
+    '>>': { precedence: 8, apply: (a, b) => a >> b },
+    '+': { precedence: 9, apply: (a, b) => a + b },
+    '-': { precedence: 9, apply: (a, b) => a - b },
+    '*': { precedence: 10, apply: (a, b) => a * b },
+    '/': { precedence: 10, apply: (a, b) => a / b },
+    '%': { precedence: 10, apply: (a, b) => a % b }
+};
+const CALCULATED_UNARY_OPERATORS = {
+    '-': a => -a,
+    '+': a => +a,
+    '!': a => !a,
+    '~': a => ~a
+};
+// Число аргументов, -1 - любое от одного
+const CALCULATED_FUNCTIONS = {
+    abs: { args: 1, apply: Math.abs },
+    round: { args: 1, apply: Math.round },
+    floor: { args: 1, apply: Math.floor },
+    ceil: { args: 1, apply: Math.ceil },
+    sqrt: { args: 1, apply: Math.sqrt },
+    exp: { args: 1, apply: Math.exp },
+    log: { args: 1, apply: Math.log },
+    log10: { args: 1, apply: Math.log10 },
+    pow: { args: 2, apply: Math.pow },
+    min: { args: -1, apply: Math.min },
+    max: { args: -1, apply: Math.max }
+};
+const EXPRESSION_TOKEN = /(0x[0-9a-f]+|(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)|\[([^\]]*)\]|([a-z_]\w*)|(<<|>>|<=|>=|==|!=|&&|\|\||[-+*/%<>!~&|^?:,()])/iy;
+
+// Параметры последовательного порта: по умолчанию 9600 8N1
+const DEFAULT_BAUD_RATE = 9600;
+const SERIAL_PARITIES = ['none', 'even', 'odd', 'mark', 'space'];
+const SERIAL_DATA_BITS = [5, 6, 7, 8];
+const SERIAL_STOP_BITS = [1, 1.5, 2];
+// Выше 19200 бод спецификация Modbus RTU задает фиксированную паузу 1.75 мс
+const FIXED_INTER_FRAME_BAUD_RATE = 19200;
+const FIXED_INTER_FRAME_DELAY = 1.75;
+
+// Значение считается устаревшим, если не обновлялось дольше стольких интервалов опроса
+const DEFAULT_STALE_POLL_COUNT = 3;
+// Период проверки тегов, значение которых устарело без нового опроса
+const STALE_CHECK_INTERVAL = 1000;
+
+// История тегов: файл на каждые сутки (UTC) в каталоге тега. Значение записывается
+// при изменении значения или качества, но не реже раза в HISTORY_SAMPLE_INTERVAL
+const HISTORY_DIR = 'history';
+const DEFAULT_HISTORY_RETENTION_DAYS = 30;
+const HISTORY_SAMPLE_INTERVAL = 60000;
+const HISTORY_FLUSH_INTERVAL = 5000;
+const HISTORY_CLEANUP_INTERVAL = 60 * 60 * 1000;
+const DEFAULT_HISTORY_RANGE = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Пределы аналоговой тревоги от верхнего к нижнему: поле предела, поле важности,
+// важность по умолчанию и текст сообщения
+const LIMIT_ALARM_LEVELS = {
+    HighHigh: { limit: 'highHigh', severity: 'highHighSeverity', defaultSeverity: 800, text: 'верхний аварийный предел' },
+    High: { limit: 'high', severity: 'highSeverity', defaultSeverity: 500, text: 'верхний предупредительный предел' },
+    Low: { limit: 'low', severity: 'lowSeverity', defaultSeverity: 500, text: 'нижний предупредительный предел' },
+    LowLow: { limit: 'lowLow', severity: 'lowLowSeverity', defaultSeverity: 800, text: 'нижний аварийный предел' }
+};
+// Порядок проверки: аварийные пределы важнее предупредительных
+const LIMIT_ALARM_CHECK_ORDER = ['HighHigh', 'LowLow', 'High', 'Low'];
+const DEFAULT_DISCRETE_ALARM_SEVERITY = 500;
+
+// Modbus TCP сервер-фасад: теги всех устройств по карте регистров для HMI,
+// которые понимают только Modbus. Адрес 255 - отвечать на любой адрес устройства
+const SLAVE_REGISTER_TYPES = ['holding', 'input', 'coil', 'discrete'];
+const DEFAULT_MODBUS_SLAVE = {
+    enabled: false,
+    port: 5020,
+    unitId: 255,
+    map: []
+};
+const MODBUS_ILLEGAL_DATA_ADDRESS = 0x02;
+const MODBUS_ILLEGAL_DATA_VALUE = 0x03;
+const MODBUS_SLAVE_DEVICE_FAILURE = 0x04;
+
+// Публикация значений тегов в MQTT брокер. В шаблонах топиков {device} -
+// имя устройства, {tag} - имя тега. Пустой топик команд отключает запись из MQTT,
+// пустой топик состояния - сообщения online/offline
+const MQTT_URL_PROTOCOLS = ['mqtt:', 'mqtts:', 'ws:', 'wss:'];
+const MQTT_QOS_LEVELS = [0, 1, 2];
+const DEFAULT_MQTT = {
+    enabled: false,
+    brokerUrl: 'mqtt://localhost:1883',
+    clientId: '',
+    username: '',
+    password: '',
+    qos: 1,
+    retain: true,
+    valueTopic: 'site/{device}/{tag}',
+    commandTopic: '',
+    statusTopic: 'site/bridge/status',
+    caFile: '',
+    certFile: '',
+    keyFile: '',
+    rejectUnauthorized: true
+};
+const MQTT_RECONNECT_PERIOD = 5000;
+
+// Поток событий для браузера: задержка переподключения EventSource
+// и интервал комментария, который держит соединение открытым
+const EVENTS_RETRY_DELAY = 3000;
+const EVENTS_HEARTBEAT_INTERVAL = 15000;
+
+// Колонки CSV со списком тегов и типы их значений. Настройки тревоги
+// задаются колонками alarm.high, alarm.highSeverity и т.д.
+const TAG_CSV_COLUMNS = {
+    'name': 'string',
+    'registerType': 'string',
+    'address': 'number',
+    'dataType': 'string',
+    'byteOrder': 'string',
+    'length': 'number',
+    'encoding': 'string',
+    'bitIndex': 'number',
+    'nodeId': 'string',
+    'writable': 'boolean',
+    'expression': 'string',
+    'scaling': 'string',
+    'rawMin': 'number',
+    'rawMax': 'number',
+    'euMin': 'number',
+    'euMax': 'number',
+    'multiplier': 'number',
+    'offset': 'number',
+    'engineeringUnit': 'string',
+    'description': 'string',
+    'history': 'boolean',
+    'historyRetentionDays': 'number',
+    'alarm.highHigh': 'number',
+    'alarm.highHighSeverity': 'number',
+    'alarm.high': 'number',
+    'alarm.highSeverity': 'number',
+    'alarm.low': 'number',
+    'alarm.lowSeverity': 'number',
+    'alarm.lowLow': 'number',
+    'alarm.lowLowSeverity': 'number',
+    'alarm.deadband': 'number',
+    'alarm.activeValue': 'boolean',
+    'alarm.severity': 'number'
+};
+const TAG_IMPORT_MODES = ['merge', 'replace'];
+const TAG_IMPORT_LIMIT = '1mb';
+
+// Схема устройства опубликована в веб-интерфейсе (/device-schema.json),
+// ей проверяются запросы API и devices.json при запуске
+const DEVICE_SCHEMA = require('./public/device-schema.json');
+const validateDeviceSchema = new Ajv({ allErrors: true }).compile(DEVICE_SCHEMA);
+const SCHEMA_TYPE_NAMES = {
+    integer: 'целым числом',
+    number: 'числом',
+    string: 'строкой',
+    boolean: 'true или false',
+    array: 'списком',
+    object: 'объектом',
+    null: 'null'
+};
 
 // Создаем Express сервер для веб-интерфейса
 const webApp = express();
 webApp.use(express.json());
-webApp.use(express.static('public'));
-
-// Создаем OPC UA сервер
-const server = new opcua.OPCUAServer({
-    port: OPC_UA_PORT,
-    resourcePath: "/UA/MyServer",
-    buildInfo: {
-        productName: "Modbus-OPC-UA-Bridge",
-        buildNumber: "1.0.0"
+webApp.use(authenticate);
+// Без входа доступна только страница входа, остальные страницы перенаправляют на нее
+webApp.use((req, res, next) => {
+    if (req.user || req.path.startsWith('/api/') || req.path === '/login' || req.path === '/login.html') {
+        return next();
+    }
+    res.redirect('/login');
+});
+// Страницы администрирования по прямому пути к файлу закрыты так же, как их маршруты.
+// Имя файла сравнивается после декодирования, как его ищет express.static
+webApp.use((req, res, next) => {
+    let file;
+    try {
+        file = path.basename(decodeURIComponent(req.path)).toLowerCase();
+    } catch (error) {
+        return next();
     }
+    if (ADMIN_PAGES.includes(file)) {
+        return requireRole('admin')(req, res, next);
+    }
+    next();
 });
+webApp.use(express.static('public', { index: false }));
+
+let opcuaSecurity = { ...DEFAULT_OPCUA_SECURITY };
+let users = [];
+// Сессии хранятся только в памяти, после перезапуска нужно войти заново
+let sessions = new Map();
+
+// Создаем OPC UA сервер с текущими настройками безопасности
+function createOPCUAServer() {
+    const opcuaServer = new opcua.OPCUAServer({
+        port: OPC_UA_PORT,
+        resourcePath: "/UA/MyServer",
+        buildInfo: {
+            productName: "Modbus-OPC-UA-Bridge",
+            buildNumber: "1.0.0"
+        },
+        securityModes: opcuaSecurity.securityModes.map(mode => opcua.MessageSecurityMode[mode]),
+        securityPolicies: opcuaSecurity.securityPolicies.map(policy => opcua.SecurityPolicy[policy]),
+        allowAnonymous: opcuaSecurity.allowAnonymous,
+        userManager: {
+            isValidUser: (userName, password) => opcuaSecurity.users.some(user =>
+                user.username === userName && verifyPassword(password, user.passwordHash))
+        }
+    });
+    opcuaServer.serverCertificateManager.automaticallyAcceptUnknownCertificate = opcuaSecurity.autoAcceptCertificates;
+    return opcuaServer;
+}
+
+let server = null;
 
 let devices = [];
-let modbusClients = new Map();
+// Устройства с ошибками в конфигурации: хранятся в devices.json, но не запускаются
+let invalidDevices = [];
+let channels = [];
+let modbusChannels = new Map();
 let opcuaVariables = new Map();
+let opcuaDeviceObjects = new Map();
+let pollTimers = new Map();
+let deviceDiagnostics = new Map();
+let activePolls = new Set();
+let listenServers = new Map();
+// Клиенты устройств OPC UA: ID устройства -> клиент, сессия и подписка
+let opcuaClients = new Map();
+// Разобранные выражения по тексту и вычисляемые теги, ждущие пересчета
+let calculatedExpressions = new Map();
+let pendingCalculatedTags = new Map();
+// Буфер истории до записи на диск: файл -> строки, и последнее записанное значение тега
+let historyBuffer = new Map();
+let historyLastSamples = new Map();
+let historyFlush = Promise.resolve();
+// Состояние тревог тегов ("устройство/тег") и соответствующие им условия OPC UA
+let alarmStates = new Map();
+let opcuaAlarms = new Map();
+// Открытые потоки /api/events (ответ -> токен сессии) и последние отправленные в них значения
+let eventClients = new Map();
+let liveTagStates = new Map();
+let modbusSlave = { ...DEFAULT_MODBUS_SLAVE };
+let modbusSlaveServer = null;
+let mqttConfig = { ...DEFAULT_MQTT };
+let mqttClient = null;
+let mqttLastError = null;
+let mqttTagStates = new Map();
+let devicesFolder = null;
 
-// Загрузка конфигурации устройств
+// Загрузка конфигурации устройств. Поврежденный файл сохраняется рядом для разбора,
+// а устройства загружаются из последней исправной версии
 function loadDevicesConfig() {
+    if (!fs.existsSync(CONFIG_FILE)) {
+        return;
+    }
+    let data;
     try {
-        if (fs.existsSync(CONFIG_FILE)) {
-            const data = fs.readFileSync(CONFIG_FILE, 'utf8');
-            devices = JSON.parse(data);
-            console.log(`Загружено ${devices.length} устройств из конфигурации`);
-        }
+        data = fs.readFileSync(CONFIG_FILE, 'utf8');
+        devices = parseDevicesConfig(data);
+        console.log(`Загружено ${devices.length} устройств из конфигурации`);
     } catch (error) {
         console.error("Ошибка загрузки конфигурации:", error);
-        devices = [];
+        restoreDevicesConfig();
+        disableInvalidDevices();
+        return;
+    }
+
+    // Файл могли изменить вручную, поэтому он попадает в версии до проверки устройств
+    try {
+        const [latest] = getConfigVersionIds();
+        if (!latest || fs.readFileSync(getConfigVersionFile(latest), 'utf8') !== data) {
+            saveConfigVersion(data);
+        }
+    } catch (error) {
+        console.error("Ошибка сохранения версии конфигурации:", error);
+    }
+    disableInvalidDevices();
+}
+
+function restoreDevicesConfig() {
+    devices = [];
+    try {
+        fs.renameSync(CONFIG_FILE, `${CONFIG_FILE}.corrupted`);
+        console.error(`Поврежденная конфигурация сохранена в ${CONFIG_FILE}.corrupted`);
+    } catch (error) {
+        console.error("Ошибка сохранения поврежденной конфигурации:", error);
+    }
+    for (const id of getConfigVersionIds()) {
+        try {
+            devices = readDevicesConfig(getConfigVersionFile(id));
+            writeFileAtomic(CONFIG_FILE, JSON.stringify(devices, null, 2));
+            console.warn(`Конфигурация восстановлена из версии ${id}: ${devices.length} устройств`);
+            return;
+        } catch (error) {
+            console.error(`Ошибка загрузки версии конфигурации ${id}:`, error.message);
+        }
+    }
+    console.error("Нет исправной версии конфигурации, устройства не загружены");
+}
+
+// Устройства с ошибками не запускаются: повтор имени тега или неверный адрес
+// сломали бы их уже во время работы. Из конфигурации они не удаляются, а ждут
+// исправления в веб-интерфейсе. Проверка идет с конца, поэтому из устройств
+// с одинаковым именем запускается первое
+function disableInvalidDevices() {
+    invalidDevices = [];
+    for (let i = devices.length - 1; i >= 0; i--) {
+        const device = devices[i];
+        const errors = getDeviceErrors(device);
+        if (errors.length > 0) {
+            console.error(`Устройство ${device.name || device.id} не запущено из-за ошибок в конфигурации:`);
+            errors.forEach(error => console.error(`  ${formatDeviceError(device, error)}`));
+            invalidDevices.unshift(device);
+            devices.splice(i, 1);
+        }
     }
 }
 
-// Сохранение конфигурации устройств
+// Сохранение конфигурации устройств без значений и состояния подключения.
+// Каждая новая конфигурация попадает в каталог версий
 function saveDevicesConfig() {
     try {
-        fs.writeFileSync(CONFIG_FILE, JSON.stringify(devices, null, 2));
+        const data = JSON.stringify([...devices, ...invalidDevices].map(getDeviceConfig), null, 2);
+        if (fs.existsSync(CONFIG_FILE) && fs.readFileSync(CONFIG_FILE, 'utf8') === data) {
+            return;
+        }
+        writeFileAtomic(CONFIG_FILE, data);
+        saveConfigVersion(data);
         console.log("Конфигурация устройств сохранена");
     } catch (error) {
         console.error("Ошибка сохранения конфигурации:", error);
     }
 }
 
+function readDevicesConfig(file) {
+    return parseDevicesConfig(fs.readFileSync(file, 'utf8'));
+}
+
+function parseDevicesConfig(data) {
+    const config = JSON.parse(data);
+    if (!Array.isArray(config) || !config.every(device => device && Array.isArray(device.tags))) {
+        throw new Error("Файл не содержит список устройств");
+    }
+    // Файлы старых версий содержат значения тегов и состояние подключения
+    return config.map(getDeviceConfig).map(migrateBitTags);
+}
+
+// Раньше форма оставляла тегам coil и discrete тип uint16 по умолчанию,
+// хотя читались и записывались они всегда как boolean
+function migrateBitTags(device) {
+    device.tags.forEach(tag => {
+        if (isBitRegister(tag.registerType) && tag.dataType !== 'boolean') {
+            tag.dataType = 'boolean';
+        }
+    });
+    return device;
+}
+
+function saveConfigVersion(data) {
+    fs.mkdirSync(CONFIG_VERSIONS_DIR, { recursive: true });
+    // Сохранения в одну миллисекунду различаются номером, который сохраняет порядок версий
+    const time = new Date().toISOString().replace(/[:.]/g, '-');
+    let id = time;
+    for (let number = 1; fs.existsSync(getConfigVersionFile(id)); number++) {
+        id = `${time}-${String(number).padStart(3, '0')}`;
+    }
+    writeFileAtomic(getConfigVersionFile(id), data);
+    getConfigVersionIds()
+        .slice(CONFIG_VERSIONS_LIMIT)
+        .forEach(oldId => fs.rmSync(getConfigVersionFile(oldId), { force: true }));
+}
+
+// Идентификаторы версий - время сохранения, от новых к старым
+function getConfigVersionIds() {
+    if (!fs.existsSync(CONFIG_VERSIONS_DIR)) {
+        return [];
+    }
+    return fs.readdirSync(CONFIG_VERSIONS_DIR)
+        .map(file => file.match(CONFIG_VERSION_FILE)?.[1])
+        .filter(Boolean)
+        .sort()
+        .reverse();
+}
+
+function getConfigVersionFile(id) {
+    return path.join(CONFIG_VERSIONS_DIR, `devices-${id}.json`);
+}
+
+function getConfigVersionInfo(id) {
+    const file = getConfigVersionFile(id);
+    const info = { id, timestamp: fs.statSync(file).mtime.toISOString() };
+    try {
+        return { ...info, devices: readDevicesConfig(file).map(device => device.name) };
+    } catch (error) {
+        return { ...info, error: error.message };
+    }
+}
+
+// Запись во временный файл и переименование: при сбое посреди записи
+// на диске остается прежняя версия файла
+function writeFileAtomic(file, data) {
+    const tempFile = `${file}.tmp`;
+    const fd = fs.openSync(tempFile, 'w');
+    try {
+        fs.writeSync(fd, data);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tempFile, file);
+}
+
+function loadOPCUASecurityConfig() {
+    try {
+        if (fs.existsSync(OPCUA_SECURITY_FILE)) {
+            opcuaSecurity = { ...DEFAULT_OPCUA_SECURITY, ...JSON.parse(fs.readFileSync(OPCUA_SECURITY_FILE, 'utf8')) };
+            console.log("Загружены настройки безопасности OPC UA");
+        }
+    } catch (error) {
+        console.error("Ошибка загрузки настроек безопасности OPC UA:", error);
+        opcuaSecurity = { ...DEFAULT_OPCUA_SECURITY };
+    }
+}
+
+function saveOPCUASecurityConfig() {
+    try {
+        writeFileAtomic(OPCUA_SECURITY_FILE, JSON.stringify(opcuaSecurity, null, 2));
+        console.log("Настройки безопасности OPC UA сохранены");
+    } catch (error) {
+        console.error("Ошибка сохранения настроек безопасности OPC UA:", error);
+    }
+}
+
+// Загрузка пользователей веб-интерфейса. Если файла нет, создается администратор
+// со случайным паролем, который выводится в консоль один раз. Поврежденный файл
+// сохраняется рядом, чтобы учетные записи можно было восстановить вручную
+function loadUsersConfig() {
+    if (fs.existsSync(USERS_FILE)) {
+        try {
+            users = JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
+            if (!Array.isArray(users)) {
+                throw new Error("Файл не содержит список пользователей");
+            }
+            console.log(`Загружено ${users.length} пользователей веб-интерфейса`);
+            return;
+        } catch (error) {
+            console.error("Ошибка загрузки пользователей:", error);
+        }
+        // Если файл не удалось убрать, сервер не запускается, чтобы не затереть учетные записи
+        fs.renameSync(USERS_FILE, `${USERS_FILE}.corrupted`);
+        console.error(`Поврежденный файл пользователей сохранен в ${USERS_FILE}.corrupted`);
+    }
+
+    const password = crypto.randomBytes(9).toString('base64url');
+    users = [{ username: 'admin', passwordHash: hashPassword(password), role: 'admin' }];
+    saveUsersConfig();
+    console.log(`Создан пользователь admin с паролем ${password}, смените его после входа`);
+}
+
+function saveUsersConfig() {
+    try {
+        writeFileAtomic(USERS_FILE, JSON.stringify(users, null, 2));
+        console.log("Пользователи веб-интерфейса сохранены");
+    } catch (error) {
+        console.error("Ошибка сохранения пользователей:", error);
+    }
+}
+
+function loadModbusSlaveConfig() {
+    try {
+        if (fs.existsSync(MODBUS_SLAVE_FILE)) {
+            modbusSlave = { ...DEFAULT_MODBUS_SLAVE, ...JSON.parse(fs.readFileSync(MODBUS_SLAVE_FILE, 'utf8')) };
+            console.log(`Загружена карта Modbus slave: ${modbusSlave.map.length} записей`);
+        }
+    } catch (error) {
+        console.error("Ошибка загрузки настроек Modbus slave:", error);
+        modbusSlave = { ...DEFAULT_MODBUS_SLAVE };
+    }
+}
+
+function saveModbusSlaveConfig() {
+    try {
+        writeFileAtomic(MODBUS_SLAVE_FILE, JSON.stringify(modbusSlave, null, 2));
+        console.log("Настройки Modbus slave сохранены");
+    } catch (error) {
+        console.error("Ошибка сохранения настроек Modbus slave:", error);
+    }
+}
+
+function loadMqttConfig() {
+    try {
+        if (fs.existsSync(MQTT_FILE)) {
+            mqttConfig = getMqttConfig(JSON.parse(fs.readFileSync(MQTT_FILE, 'utf8')));
+            console.log(`Загружены настройки MQTT: ${mqttConfig.brokerUrl}`);
+        }
+    } catch (error) {
+        console.error("Ошибка загрузки настроек MQTT:", error);
+        mqttConfig = { ...DEFAULT_MQTT };
+    }
+}
+
+function saveMqttConfig() {
+    try {
+        writeFileAtomic(MQTT_FILE, JSON.stringify(mqttConfig, null, 2));
+        console.log("Настройки MQTT сохранены");
+    } catch (error) {
+        console.error("Ошибка сохранения настроек MQTT:", error);
+    }
+}
+
+// Загрузка общих каналов связи
+function loadChannelsConfig() {
+    try {
+        if (fs.existsSync(CHANNELS_FILE)) {
+            channels = JSON.parse(fs.readFileSync(CHANNELS_FILE, 'utf8'));
+            console.log(`Загружено ${channels.length} каналов связи из конфигурации`);
+        }
+    } catch (error) {
+        console.error("Ошибка загрузки каналов связи:", error);
+        channels = [];
+    }
+}
+
+function saveChannelsConfig() {
+    try {
+        writeFileAtomic(CHANNELS_FILE, JSON.stringify(channels, null, 2));
+        console.log("Конфигурация каналов связи сохранена");
+    } catch (error) {
+        console.error("Ошибка сохранения каналов связи:", error);
+    }
+}
+
 // API маршруты
-webApp.get('/api/devices', (req, res) => {
-    res.json(devices);
+webApp.get('/api/devices', requireRole('viewer'), (req, res) => {
+    res.json(devices.map(getDeviceSnapshot));
 });
 
-webApp.post('/api/devices', (req, res) => {
+// Устройства, не запущенные из-за ошибок в конфигурации, со списком ошибок по полям
+webApp.get('/api/devices/invalid', requireRole('viewer'), (req, res) => {
+    res.json(invalidDevices.map(device => {
+        const errors = getDeviceErrors(device);
+        return { ...getDeviceSnapshot(device), errors, messages: errors.map(error => formatDeviceError(device, error)) };
+    }));
+});
+
+webApp.post('/api/devices', requireRole('admin'), (req, res) => {
     try {
         const newDevice = req.body;
         
-        // Валидация
-        if (!newDevice.name || !newDevice.type || !newDevice.tags || !Array.isArray(newDevice.tags)) {
-            return res.status(400).json({ error: "Неверные данные устройства" });
+        // Валидация: в error первая ошибка, в errors - все ошибки по полям
+        const errors = getDeviceErrors(newDevice);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: formatDeviceError(newDevice, errors[0]), errors });
+        }
+        if (newDevice.id && [...devices, ...invalidDevices].some(d => d.id === newDevice.id)) {
+            return res.status(409).json({ error: `Устройство с ID ${newDevice.id} уже существует` });
         }
 
         // Генерируем ID если нет
@@ -78,32 +674,30 @@ webApp.post('/api/devices', (req, res) => {
         // Инициализируем новое устройство
         initializeDevice(newDevice);
         
-        res.json({ success: true, device: newDevice });
+        res.json({ success: true, device: getDeviceSnapshot(newDevice) });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-webApp.delete('/api/devices/:id', (req, res) => {
+webApp.delete('/api/devices/:id', requireRole('admin'), (req, res) => {
     try {
-        const deviceId = req.params.id;
-        const index = devices.findIndex(d => d.id === deviceId);
-        
-        if (index === -1) {
+        const device = devices.find(d => d.id === req.params.id);
+        const invalidDevice = invalidDevices.find(d => d.id === req.params.id);
+        if (!device && !invalidDevice) {
             return res.status(404).json({ error: "Устройство не найдено" });
         }
 
-        // Удаляем OPC UA переменные
-        removeDeviceVariables(deviceId);
-        
-        // Закрываем Modbus соединение
-        const client = modbusClients.get(deviceId);
-        if (client) {
-            client.close().catch(() => {});
-            modbusClients.delete(deviceId);
+        const dependentError = device && getDependentDeviceError(devices.filter(d => d !== device));
+        if (dependentError) {
+            return res.status(409).json({ error: dependentError });
         }
 
-        devices.splice(index, 1);
+        if (device) {
+            removeDevice(device);
+        } else {
+            invalidDevices.splice(invalidDevices.indexOf(invalidDevice), 1);
+        }
         saveDevicesConfig();
         
         res.json({ success: true });
@@ -112,7 +706,212 @@ webApp.delete('/api/devices/:id', (req, res) => {
     }
 });
 
-webApp.get('/api/values', (req, res) => {
+// Полное обновление устройства без пересоздания
+webApp.put('/api/devices/:id', requireRole('admin'), (req, res) => {
+    try {
+        const device = devices.find(d => d.id === req.params.id)
+            || invalidDevices.find(d => d.id === req.params.id);
+        if (!device) {
+            return res.status(404).json({ error: "Устройство не найдено" });
+        }
+
+        const update = { ...req.body, id: device.id };
+        // Пароль клиентам не отдается, поэтому пустой пароль означает "оставить прежний"
+        if (!update.password) {
+            delete update.password;
+            if (update.username && device.password) {
+                update.password = device.password;
+            }
+        }
+        const errors = getDeviceErrors(update);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: formatDeviceError(update, errors[0]), errors });
+        }
+        const dependentError = getDependentDeviceError(getDeviceListWith(update));
+        if (dependentError) {
+            return res.status(409).json({ error: dependentError });
+        }
+
+        // Исправленное устройство запускается впервые
+        if (invalidDevices.includes(device)) {
+            invalidDevices.splice(invalidDevices.indexOf(device), 1);
+            devices.push(update);
+            initializeDevice(update);
+            saveDevicesConfig();
+            return res.json({ success: true, device: getDeviceSnapshot(update) });
+        }
+
+        applyDeviceUpdate(device, update);
+        saveDevicesConfig();
+
+        res.json({ success: true, device: getDeviceSnapshot(device) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Список тегов устройства в CSV. Выгружаются колонки, заполненные хотя бы у одного тега
+webApp.get('/api/devices/:id/tags/export', requireRole('admin'), (req, res) => {
+    const device = devices.find(d => d.id === req.params.id);
+    if (!device) {
+        return res.status(404).json({ error: "Устройство не найдено" });
+    }
+
+    res.type('text/csv');
+    res.attachment(`${device.name}-tags.csv`);
+    res.send(formatTagsCSV(device));
+});
+
+// Импорт тегов из CSV. merge обновляет теги с теми же именами и добавляет новые,
+// replace заменяет весь список. С preview=true изменения только проверяются
+webApp.post('/api/devices/:id/tags/import', requireRole('admin'), express.text({ type: ['text/csv', 'text/plain'], limit: TAG_IMPORT_LIMIT }), (req, res) => {
+    try {
+        const device = devices.find(d => d.id === req.params.id);
+        if (!device) {
+            return res.status(404).json({ error: "Устройство не найдено" });
+        }
+        const mode = req.query.mode || 'merge';
+        if (!TAG_IMPORT_MODES.includes(mode)) {
+            return res.status(400).json({ error: `Неизвестный режим импорта ${mode}` });
+        }
+        if (typeof req.body !== 'string' || !req.body.trim()) {
+            return res.status(400).json({ error: "Файл CSV пуст" });
+        }
+
+        const result = importTagsCSV(device, req.body, mode);
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        const report = { mode, rows: result.rows, removed: result.removed, deviceError: result.deviceError };
+        const hasErrors = Boolean(result.deviceError) || result.rows.some(row => row.error);
+        if (req.query.preview === 'true') {
+            return res.json({ success: !hasErrors, preview: true, ...report });
+        }
+        if (hasErrors) {
+            return res.status(400).json({ error: "В файле есть ошибки, теги не изменены", ...report });
+        }
+
+        applyDeviceUpdate(device, result.update);
+        saveDevicesConfig();
+
+        res.json({ success: true, ...report, device: getDeviceSnapshot(device) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Изменение одного тега устройства
+webApp.patch('/api/devices/:id/tags/:tagName', requireRole('admin'), (req, res) => {
+    try {
+        const device = devices.find(d => d.id === req.params.id);
+        if (!device) {
+            return res.status(404).json({ error: "Устройство не найдено" });
+        }
+
+        const tag = device.tags.find(t => t.name === req.params.tagName);
+        if (!tag) {
+            return res.status(404).json({ error: "Тег не найден" });
+        }
+
+        const update = {
+            ...getDeviceConfig(device),
+            tags: device.tags.map(t => t === tag ? { ...getTagConfig(t), ...req.body } : getTagConfig(t))
+        };
+        const errors = getDeviceErrors(update);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: formatDeviceError(update, errors[0]), errors });
+        }
+        const dependentError = getDependentDeviceError(getDeviceListWith(update));
+        if (dependentError) {
+            return res.status(409).json({ error: dependentError });
+        }
+
+        applyDeviceUpdate(device, update);
+        saveDevicesConfig();
+
+        res.json({ success: true, device: getDeviceSnapshot(device) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Сохраненные версии конфигурации устройств, от новых к старым
+webApp.get('/api/config/versions', requireRole('admin'), (req, res) => {
+    try {
+        res.json(getConfigVersionIds().map(getConfigVersionInfo));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Возврат к сохраненной версии: устройства применяются без перезапуска,
+// а сам возврат сохраняется как новая версия
+webApp.post('/api/config/versions/:id/rollback', requireRole('admin'), (req, res) => {
+    try {
+        const id = req.params.id;
+        if (!CONFIG_VERSION_ID.test(id) || !fs.existsSync(getConfigVersionFile(id))) {
+            return res.status(404).json({ error: "Версия конфигурации не найдена" });
+        }
+
+        let config;
+        try {
+            config = readDevicesConfig(getConfigVersionFile(id));
+        } catch (error) {
+            return res.status(400).json({ error: `Версия конфигурации повреждена: ${error.message}` });
+        }
+        // Версия проверялась при сохранении, но каналы связи с тех пор могли удалить
+        for (const device of config) {
+            const [error] = getDeviceErrors(device, config);
+            if (error) {
+                return res.status(409).json({ error: `Устройство ${device.name}: ${formatDeviceError(device, error)}` });
+            }
+        }
+
+        // Версия заменяет всю конфигурацию, в том числе не запущенные устройства
+        invalidDevices = [];
+        applyDevicesConfig(config);
+        saveDevicesConfig();
+        console.log(`Конфигурация устройств возвращена к версии ${id}`);
+
+        res.json({ success: true, devices: devices.map(getDeviceSnapshot) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+webApp.get('/api/devices/:id/diagnostics', requireRole('viewer'), (req, res) => {
+    const device = devices.find(d => d.id === req.params.id);
+    if (!device) {
+        return res.status(404).json({ error: "Устройство не найдено" });
+    }
+    res.json(getDiagnosticsSnapshot(device));
+});
+
+// Сброс счетчиков диагностики
+webApp.post('/api/devices/:id/diagnostics/reset', requireRole('operator'), (req, res) => {
+    const device = devices.find(d => d.id === req.params.id);
+    if (!device) {
+        return res.status(404).json({ error: "Устройство не найдено" });
+    }
+    resetDiagnostics(device.id);
+    res.json({ success: true, diagnostics: getDiagnosticsSnapshot(device) });
+});
+
+// Поток Server-Sent Events: изменения значений и качества тегов, состояние связи устройств.
+// Полный снимок клиент берет из /api/values после подключения
+webApp.get('/api/events', requireRole('viewer'), (req, res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${EVENTS_RETRY_DELAY}\n\n`);
+    eventClients.set(res, req.sessionToken);
+    req.on('close', () => eventClients.delete(res));
+});
+
+webApp.get('/api/values', requireRole('viewer'), (req, res) => {
     const values = {};
     devices.forEach(device => {
         values[device.id] = {
@@ -121,8 +920,15 @@ webApp.get('/api/values', (req, res) => {
         };
         device.tags.forEach(tag => {
             values[device.id].tags[tag.name] = {
-                value: tag.currentValue || 0,
-                writable: isTagWritable(tag.registerType)
+                value: tag.currentValue ?? null,
+                status: getTagStatus(device, tag),
+                sourceTimestamp: tag.sourceTimestamp || null,
+                serverTimestamp: tag.serverTimestamp || null,
+                unit: tag.engineeringUnit || '',
+                description: tag.description || '',
+                dataType: getValueDataType(tag),
+                writable: isTagWritable(tag),
+                history: Boolean(tag.history)
             };
         });
     });
@@ -130,7 +936,7 @@ webApp.get('/api/values', (req, res) => {
 });
 
 // Новый endpoint для записи значений
-webApp.post('/api/write', async (req, res) => {
+webApp.post('/api/write', requireRole('operator'), async (req, res) => {
     try {
         const { deviceId, tagName, value } = req.body;
         
@@ -148,23 +954,21 @@ webApp.post('/api/write', async (req, res) => {
             return res.status(404).json({ error: "Тег не найден" });
         }
 
-        if (!isTagWritable(tag.registerType)) {
+        if (!isTagWritable(tag)) {
             return res.status(400).json({ error: "Этот тег доступен только для чтения" });
         }
 
+        let parsedValue;
+        try {
+            parsedValue = parseWriteValue(tag, value);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
         // Записываем значение в устройство
-        const success = await writeTagValue(device, tag, parseFloat(value));
+        const success = await writeTagValue(device, tag, parsedValue);
         
         if (success) {
-            // Обновляем значение в OPC UA
-            const variable = opcuaVariables.get(deviceId)?.get(tagName);
-            if (variable) {
-                variable.setValueFromSource(new opcua.Variant({
-                    dataType: getOPCUADataTypeCode(tag.dataType),
-                    value: tag.currentValue
-                }));
-            }
-            
             res.json({ success: true, value: tag.currentValue });
         } else {
             res.status(500).json({ error: "Ошибка записи в устройство" });
@@ -175,356 +979,4218 @@ webApp.post('/api/write', async (req, res) => {
     }
 });
 
-webApp.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
-
-webApp.get('/add-device', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'add-device.html'));
-});
-
-async function main() {
+// История значений тега за период. from и to - ISO дата или миллисекунды,
+// по умолчанию последний час. maxPoints прореживает выборку для графиков
+webApp.get('/api/history', requireRole('viewer'), async (req, res) => {
     try {
-        // Загружаем конфигурацию
-        loadDevicesConfig();
-
-        // Запускаем веб-сервер
-        webApp.listen(WEB_PORT, () => {
-            console.log(`Веб-интерфейс доступен по адресу: http://localhost:${WEB_PORT}`);
-        });
+        const { deviceId, tag: tagName } = req.query;
+        const device = devices.find(d => d.id === deviceId);
+        if (!device) {
+            return res.status(404).json({ error: "Устройство не найдено" });
+        }
+        const tag = device.tags.find(t => t.name === tagName);
+        if (!tag) {
+            return res.status(404).json({ error: "Тег не найден" });
+        }
+        if (!tag.history) {
+            return res.status(400).json({ error: "История для тега не включена" });
+        }
+
+        const to = parseHistoryTime(req.query.to, Date.now());
+        const from = parseHistoryTime(req.query.from, to - DEFAULT_HISTORY_RANGE);
+        if (isNaN(from) || isNaN(to) || from > to) {
+            return res.status(400).json({ error: "Неверный период" });
+        }
+
+        const maxPoints = req.query.maxPoints === undefined ? 0 : parseInt(req.query.maxPoints);
+        if (isNaN(maxPoints) || maxPoints < 0) {
+            return res.status(400).json({ error: "Неверное число точек" });
+        }
+
+        let samples = await readTagHistory(device.id, tag.name, from, to);
+        if (maxPoints && samples.length > maxPoints) {
+            samples = downsampleHistory(samples, from, to, maxPoints);
+        }
+        res.json({
+            deviceId: device.id,
+            tag: tag.name,
+            from: new Date(from),
+            to: new Date(to),
+            samples: samples.map(sample => ({ timestamp: new Date(sample.t), value: sample.v, status: sample.s }))
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Активные и неквитированные тревоги, all=true - все тревоги, включая нормальные
+webApp.get('/api/alarms', requireRole('viewer'), (req, res) => {
+    const all = req.query.all === 'true';
+    res.json(Array.from(alarmStates.values())
+        .filter(alarm => all || alarm.active || !alarm.acknowledged)
+        .sort((a, b) => (b.severity || 0) - (a.severity || 0) || (b.time || 0) - (a.time || 0))
+        .map(getAlarmSnapshot));
+});
+
+webApp.post('/api/alarms/:deviceId/:tagName/acknowledge', requireRole('operator'), (req, res) => {
+    const alarm = alarmStates.get(getAlarmKey(req.params.deviceId, req.params.tagName));
+    if (!alarm) {
+        return res.status(404).json({ error: "Тревога не найдена" });
+    }
+
+    acknowledgeAlarm(alarm, req.user.username, req.body?.comment);
+    res.json({ success: true, alarm: getAlarmSnapshot(alarm) });
+});
+
+// Последовательные порты, доступные в системе
+webApp.get('/api/serial-ports', requireRole('admin'), async (req, res) => {
+    try {
+        const ports = await SerialPort.list();
+        res.json(ports);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Общие каналы связи: один порт или шлюз на несколько устройств
+webApp.get('/api/channels', requireRole('viewer'), (req, res) => {
+    res.json(channels.map(channel => {
+        const runtime = modbusChannels.get(`channel:${channel.id}`);
+        return {
+            ...channel,
+            connected: Boolean(runtime?.connected),
+            queueLength: runtime ? runtime.queue.length : 0,
+            devices: devices.filter(d => d.channelId === channel.id).map(d => d.id)
+        };
+    }));
+});
+
+webApp.post('/api/channels', requireRole('admin'), (req, res) => {
+    try {
+        const channel = req.body;
+        const validationError = validateChannel(channel);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        if (!channel.id) {
+            channel.id = Date.now().toString();
+        }
+        if (channels.some(c => c.id === channel.id)) {
+            return res.status(400).json({ error: `Канал ${channel.id} уже существует` });
+        }
+
+        channels.push(channel);
+        saveChannelsConfig();
+
+        res.json({ success: true, channel });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+webApp.put('/api/channels/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const channel = channels.find(c => c.id === req.params.id);
+        if (!channel) {
+            return res.status(404).json({ error: "Канал не найден" });
+        }
+
+        const update = { ...req.body, id: channel.id };
+        const validationError = validateChannel(update);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        // Новые параметры применяются при следующем подключении устройств канала
+        await removeModbusChannel(`channel:${channel.id}`);
+        Object.keys(channel).forEach(key => delete channel[key]);
+        Object.assign(channel, update);
+        devices.filter(d => d.channelId === channel.id)
+            .forEach(device => resetReconnectBackoff(device.id));
+        saveChannelsConfig();
+
+        res.json({ success: true, channel });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+webApp.delete('/api/channels/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const index = channels.findIndex(c => c.id === req.params.id);
+        if (index === -1) {
+            return res.status(404).json({ error: "Канал не найден" });
+        }
+
+        const used = devices.filter(d => d.channelId === req.params.id);
+        if (used.length > 0) {
+            return res.status(409).json({ error: `Канал используется устройствами: ${used.map(d => d.name).join(', ')}` });
+        }
+
+        await removeModbusChannel(`channel:${req.params.id}`);
+        channels.splice(index, 1);
+        saveChannelsConfig();
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Modbus TCP сервер-фасад. Карта регистров применяется сразу,
+// изменение порта или адреса перезапускает сервер
+webApp.get('/api/modbus-slave', requireRole('admin'), (req, res) => {
+    res.json(getModbusSlaveSnapshot());
+});
+
+webApp.put('/api/modbus-slave', requireRole('admin'), async (req, res) => {
+    try {
+        const update = {
+            enabled: Boolean(req.body.enabled),
+            port: req.body.port,
+            unitId: req.body.unitId ?? DEFAULT_MODBUS_SLAVE.unitId,
+            map: req.body.map ?? modbusSlave.map
+        };
+        const validationError = validateModbusSlave(update);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        const overlap = findSlaveOverlap(update.map);
+        if (overlap) {
+            return res.status(409).json({ error: overlap });
+        }
+
+        const restart = ['enabled', 'port', 'unitId'].some(key => update[key] !== modbusSlave[key]);
+        modbusSlave = { ...update, map: update.map.map(getSlaveEntryConfig) };
+        saveModbusSlaveConfig();
+        if (restart) {
+            await stopModbusSlave();
+            startModbusSlave();
+        }
+
+        res.json({ success: true, modbusSlave: getModbusSlaveSnapshot() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+webApp.post('/api/modbus-slave/map', requireRole('admin'), (req, res) => {
+    try {
+        const entry = getSlaveEntryConfig(req.body);
+        const validationError = validateSlaveEntry(entry);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        const overlap = findSlaveOverlap([...modbusSlave.map, entry]);
+        if (overlap) {
+            return res.status(409).json({ error: overlap });
+        }
+
+        modbusSlave.map.push(entry);
+        saveModbusSlaveConfig();
+
+        res.json({ success: true, modbusSlave: getModbusSlaveSnapshot() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+webApp.delete('/api/modbus-slave/map/:registerType/:address', requireRole('admin'), (req, res) => {
+    const index = modbusSlave.map.findIndex(entry =>
+        entry.registerType === req.params.registerType && entry.address === parseInt(req.params.address));
+    if (index === -1) {
+        return res.status(404).json({ error: "Запись карты регистров не найдена" });
+    }
+
+    modbusSlave.map.splice(index, 1);
+    saveModbusSlaveConfig();
+
+    res.json({ success: true, modbusSlave: getModbusSlaveSnapshot() });
+});
+
+// Публикация в MQTT. Пароль брокера наружу не отдается, пустой пароль
+// при сохранении оставляет прежний. Изменение настроек переподключает клиента
+webApp.get('/api/mqtt', requireRole('admin'), (req, res) => {
+    res.json(getMqttSnapshot());
+});
+
+webApp.put('/api/mqtt', requireRole('admin'), async (req, res) => {
+    try {
+        const update = getMqttConfig({ ...mqttConfig, ...req.body, password: req.body.password || mqttConfig.password });
+        ['enabled', 'retain', 'rejectUnauthorized'].forEach(key => { update[key] = Boolean(update[key]); });
+        if (!update.username) {
+            update.password = '';
+        }
+        const validationError = validateMqtt(update);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        await stopMqtt();
+        mqttConfig = update;
+        saveMqttConfig();
+        startMqtt();
+
+        res.json({ success: true, mqtt: getMqttSnapshot() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Настройки безопасности OPC UA. Хэши паролей наружу не отдаются
+webApp.get('/api/opcua/security', requireRole('admin'), (req, res) => {
+    res.json(getOPCUASecuritySnapshot());
+});
+
+// Изменение настроек применяется перезапуском OPC UA сервера
+webApp.put('/api/opcua/security', requireRole('admin'), async (req, res) => {
+    try {
+        const update = req.body;
+        const validationError = validateOPCUASecurity(update);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        // Пользователь без нового пароля сохраняет прежний
+        const users = update.users.map(user => ({
+            username: user.username,
+            passwordHash: user.password
+                ? hashPassword(user.password)
+                : opcuaSecurity.users.find(u => u.username === user.username).passwordHash
+        }));
+
+        await applyOPCUASecurity({
+            securityModes: update.securityModes,
+            securityPolicies: update.securityPolicies,
+            allowAnonymous: Boolean(update.allowAnonymous),
+            autoAcceptCertificates: Boolean(update.autoAcceptCertificates),
+            users
+        });
+
+        res.json({ success: true, security: getOPCUASecuritySnapshot() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Сертификаты клиентов в PKI сервера: доверенные и отклоненные
+webApp.get('/api/opcua/certificates', requireRole('admin'), async (req, res) => {
+    try {
+        const certificateManager = server.serverCertificateManager;
+        res.json({
+            server: readCertificateInfo(server.certificateFile),
+            trusted: await listCertificates(certificateManager.trustedFolder),
+            rejected: await listCertificates(certificateManager.rejectedFolder)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+webApp.post('/api/opcua/certificates/:thumbprint/:action(trust|reject)', requireRole('admin'), async (req, res) => {
+    try {
+        const certificateManager = server.serverCertificateManager;
+        const certificates = [
+            ...await listCertificates(certificateManager.trustedFolder),
+            ...await listCertificates(certificateManager.rejectedFolder)
+        ];
+        const certificate = certificates.find(c => c.thumbprint === req.params.thumbprint.toLowerCase());
+        if (!certificate) {
+            return res.status(404).json({ error: "Сертификат не найден" });
+        }
+
+        const der = new crypto.X509Certificate(fs.readFileSync(certificate.file)).raw;
+        if (req.params.action === 'trust') {
+            await certificateManager.trustCertificate(der);
+        } else {
+            await certificateManager.rejectCertificate(der);
+        }
+        console.log(`Сертификат ${certificate.subject} ${req.params.action === 'trust' ? 'добавлен в доверенные' : 'отклонен'}`);
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Новый самоподписанный сертификат сервера, клиентам придется доверять ему заново
+webApp.post('/api/opcua/certificate/regenerate', requireRole('admin'), async (req, res) => {
+    try {
+        fs.rmSync(server.certificateFile, { force: true });
+        await restartOPCUAServer();
+        res.json({ success: true, certificate: readCertificateInfo(server.certificateFile) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Вход в веб-интерфейс. Токен сессии ставится в cookie и возвращается в ответе
+// для REST клиентов, которые передают его в заголовке Authorization: Bearer
+webApp.post('/api/login', (req, res) => {
+    const { username, password } = req.body;
+    const user = users.find(u => u.username === username);
+    if (!user || !verifyPassword(password, user.passwordHash)) {
+        console.log(`Неудачная попытка входа пользователя ${username}`);
+        return res.status(401).json({ error: "Неверное имя пользователя или пароль" });
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    sessions.set(token, { username: user.username, expiresAt: Date.now() + SESSION_TTL });
+    res.cookie(SESSION_COOKIE, token, { httpOnly: true, sameSite: 'strict', maxAge: SESSION_TTL });
+    res.json({ success: true, token, username: user.username, role: user.role });
+});
+
+webApp.post('/api/logout', (req, res) => {
+    if (req.sessionToken) {
+        sessions.delete(req.sessionToken);
+    }
+    res.clearCookie(SESSION_COOKIE);
+    res.json({ success: true });
+});
+
+// Текущий пользователь, страницы по роли скрывают недоступные действия
+webApp.get('/api/me', requireRole('viewer'), (req, res) => {
+    res.json({ username: req.user.username, role: req.user.role });
+});
+
+// Пользователи веб-интерфейса. Хэши паролей наружу не отдаются
+webApp.get('/api/users', requireRole('admin'), (req, res) => {
+    res.json(users.map(user => ({ username: user.username, role: user.role })));
+});
+
+webApp.post('/api/users', requireRole('admin'), (req, res) => {
+    const { username, password, role } = req.body;
+    if (!username || typeof username !== 'string') {
+        return res.status(400).json({ error: "Не задано имя пользователя" });
+    }
+    if (users.some(u => u.username === username)) {
+        return res.status(400).json({ error: "Пользователь с таким именем уже существует" });
+    }
+    if (!password) {
+        return res.status(400).json({ error: "Не задан пароль" });
+    }
+    if (!USER_ROLES.includes(role)) {
+        return res.status(400).json({ error: `Роль должна быть одной из: ${USER_ROLES.join(', ')}` });
+    }
+
+    users.push({ username, passwordHash: hashPassword(password), role });
+    saveUsersConfig();
+    res.json({ success: true });
+});
+
+// Смена роли или пароля завершает сессии пользователя
+webApp.put('/api/users/:username', requireRole('admin'), (req, res) => {
+    const user = users.find(u => u.username === req.params.username);
+    if (!user) {
+        return res.status(404).json({ error: "Пользователь не найден" });
+    }
+    const { password, role } = req.body;
+    if (role !== undefined && !USER_ROLES.includes(role)) {
+        return res.status(400).json({ error: `Роль должна быть одной из: ${USER_ROLES.join(', ')}` });
+    }
+    if (role && role !== 'admin' && isLastAdmin(user)) {
+        return res.status(400).json({ error: "Нельзя лишить прав последнего администратора" });
+    }
+
+    if (role) {
+        user.role = role;
+    }
+    if (password) {
+        user.passwordHash = hashPassword(password);
+    }
+    closeUserSessions(user.username, req.sessionToken);
+    saveUsersConfig();
+    res.json({ success: true });
+});
+
+webApp.delete('/api/users/:username', requireRole('admin'), (req, res) => {
+    const index = users.findIndex(u => u.username === req.params.username);
+    if (index === -1) {
+        return res.status(404).json({ error: "Пользователь не найден" });
+    }
+    if (isLastAdmin(users[index])) {
+        return res.status(400).json({ error: "Нельзя удалить последнего администратора" });
+    }
+
+    closeUserSessions(users[index].username);
+    users.splice(index, 1);
+    saveUsersConfig();
+    res.json({ success: true });
+});
+
+webApp.get('/login', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'login.html'));
+});
+
+webApp.get('/users', requireRole('admin'), (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'users.html'));
+});
+
+webApp.get('/', requireRole('viewer'), (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+webApp.get('/add-device', requireRole('admin'), (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'add-device.html'));
+});
+
+webApp.get('/edit-device/:id', requireRole('admin'), (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'add-device.html'));
+});
+
+webApp.get('/channels', requireRole('admin'), (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'channels.html'));
+});
+
+webApp.get('/opcua-security', requireRole('admin'), (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'opcua-security.html'));
+});
+
+webApp.get('/modbus-slave', requireRole('admin'), (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'modbus-slave.html'));
+});
+
+webApp.get('/mqtt', requireRole('admin'), (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'mqtt.html'));
+});
+
+async function main() {
+    try {
+        // Загружаем конфигурацию
+        // Каналы связи нужны для проверки устройств
+        loadChannelsConfig();
+        loadDevicesConfig();
+        loadOPCUASecurityConfig();
+        loadUsersConfig();
+        loadModbusSlaveConfig();
+        loadMqttConfig();
+
+        // Запускаем веб-сервер
+        webApp.listen(WEB_PORT, () => {
+            console.log(`Веб-интерфейс доступен по адресу: http://localhost:${WEB_PORT}`);
+        });
+
+        await startOPCUAServer();
+
+        // Запись буфера истории на диск и удаление файлов старше срока хранения
+        setInterval(flushHistory, HISTORY_FLUSH_INTERVAL);
+        setInterval(cleanupHistory, HISTORY_CLEANUP_INTERVAL);
+        setInterval(pingEventClients, EVENTS_HEARTBEAT_INTERVAL);
+        setInterval(publishStaleTags, STALE_CHECK_INTERVAL);
+        cleanupHistory();
+
+        // Запускаем опрос всех устройств и прием подключений модемов
+        startAllDevicesPolling();
+        syncListenServers();
+        startModbusSlave();
+        startMqtt();
+
+    } catch (error) {
+        console.error("Ошибка:", error);
+    }
+}
+
+async function startOPCUAServer() {
+    server = createOPCUAServer();
+
+    // Инициализация OPC UA сервера
+    await server.initialize();
+    console.log("OPC UA сервер инициализирован");
+
+    // Создаем адресное пространство
+    const addressSpace = server.engine.addressSpace;
+    const namespace = addressSpace.getOwnNamespace();
+
+    // Агрегаты Minimum, Maximum, Average для HistoryReadProcessed
+    opcua.addAggregateSupport(addressSpace);
+    // Методы Acknowledge и Confirm для условий тревог
+    addressSpace.installAlarmsAndConditionsService();
+
+    // Создаем корневую папку для устройств. События тревог идут по цепочке
+    // устройство -> ModbusDevices -> Server, где на них подписываются клиенты
+    devicesFolder = namespace.addObject({
+        organizedBy: addressSpace.rootFolder.objects,
+        typeDefinition: "FolderType",
+        browseName: "ModbusDevices",
+        eventNotifier: 1,
+        notifierOf: addressSpace.rootFolder.objects.server
+    });
+
+    // Инициализируем все устройства из конфигурации
+    devices.forEach(device => {
+        initializeOPCUADevice(device, namespace, devicesFolder);
+    });
+
+    console.log("Устройства инициализированы");
+
+    // Запускаем сервер
+    await server.start();
+    console.log(`OPC UA сервер запущен на порту ${OPC_UA_PORT}`);
+    console.log(`Endpoint URL: ${server.endpoints[0].endpointDescriptions()[0].endpointUrl}`);
+}
+
+// Адресное пространство строится заново, опрос устройств не прерывается
+async function restartOPCUAServer() {
+    console.log("Перезапуск OPC UA сервера...");
+    await stopOPCUAServer();
+    await startOPCUAServer();
+}
+
+async function stopOPCUAServer() {
+    await server.shutdown();
+    opcuaDeviceObjects.clear();
+    opcuaVariables.clear();
+    opcuaAlarms.clear();
+}
+
+// Настройки сохраняются, только если сервер с ними запустился.
+// Иначе сервер поднимается с прежними настройками, а ошибка уходит клиенту
+async function applyOPCUASecurity(security) {
+    const previousSecurity = opcuaSecurity;
+    opcuaSecurity = security;
+    try {
+        await restartOPCUAServer();
+    } catch (error) {
+        console.error("Ошибка запуска OPC UA сервера с новыми настройками безопасности:", error);
+        opcuaSecurity = previousSecurity;
+        await stopOPCUAServer().catch(() => {});
+        await startOPCUAServer();
+        throw error;
+    }
+    saveOPCUASecurityConfig();
+}
+
+function getOPCUASecuritySnapshot() {
+    return {
+        securityModes: opcuaSecurity.securityModes,
+        securityPolicies: opcuaSecurity.securityPolicies,
+        allowAnonymous: opcuaSecurity.allowAnonymous,
+        autoAcceptCertificates: opcuaSecurity.autoAcceptCertificates,
+        users: opcuaSecurity.users.map(user => ({ username: user.username }))
+    };
+}
+
+function validateOPCUASecurity(security) {
+    const { securityModes, securityPolicies, users } = security;
+    if (!Array.isArray(securityModes) || securityModes.length === 0 ||
+        !Array.isArray(securityPolicies) || securityPolicies.length === 0 || !Array.isArray(users)) {
+        return "Нужно указать хотя бы один режим и одну политику безопасности";
+    }
+    const unknownMode = securityModes.find(mode => !SECURITY_MODES.includes(mode));
+    if (unknownMode) {
+        return `Неизвестный режим безопасности ${unknownMode}`;
+    }
+    const unknownPolicy = securityPolicies.find(policy => !SECURITY_POLICIES.includes(policy));
+    if (unknownPolicy) {
+        return `Неизвестная политика безопасности ${unknownPolicy}`;
+    }
+    // Режим None работает только с политикой None, Sign и SignAndEncrypt - только с остальными
+    if (securityModes.includes('None') !== securityPolicies.includes('None')) {
+        return "Режим None и политика None включаются только вместе";
+    }
+    if (securityModes.some(mode => mode !== 'None') && !securityPolicies.some(policy => policy !== 'None')) {
+        return "Для режимов Sign и SignAndEncrypt нужна политика шифрования";
+    }
+    if (!security.allowAnonymous && users.length === 0) {
+        return "При запрете анонимного доступа нужен хотя бы один пользователь";
+    }
+
+    const names = new Set();
+    for (const user of users) {
+        if (!user.username) {
+            return "У каждого пользователя должно быть имя";
+        }
+        if (names.has(user.username)) {
+            return `Пользователь ${user.username} указан несколько раз`;
+        }
+        names.add(user.username);
+        if (!user.password && !opcuaSecurity.users.some(u => u.username === user.username)) {
+            return `Не задан пароль пользователя ${user.username}`;
+        }
+    }
+    return null;
+}
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+    return `scrypt:${salt}:${hash}`;
+}
+
+function verifyPassword(password, passwordHash) {
+    const [scheme, salt, hash] = String(passwordHash).split(':');
+    if (scheme !== 'scrypt' || !salt || !hash || typeof password !== 'string') {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    return crypto.timingSafeEqual(crypto.scryptSync(password, salt, expected.length), expected);
+}
+
+// Пользователь определяется по токену сессии из cookie или заголовка Authorization
+function authenticate(req, res, next) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const session = token && sessions.get(token);
+    if (session && session.expiresAt < Date.now()) {
+        sessions.delete(token);
+    } else if (session) {
+        req.user = users.find(u => u.username === session.username);
+        req.sessionToken = token;
+    }
+    next();
+}
+
+// Проверка роли: API отвечает 401/403, страницы перенаправляют на вход или главную
+function requireRole(role) {
+    return (req, res, next) => {
+        if (req.user && hasRole(req.user, role)) {
+            return next();
+        }
+        if (!req.path.startsWith('/api/')) {
+            return res.redirect(req.user ? '/' : '/login');
+        }
+        if (!req.user) {
+            return res.status(401).json({ error: "Требуется вход в систему" });
+        }
+        res.status(403).json({ error: "Недостаточно прав" });
+    };
+}
+
+function hasRole(user, role) {
+    return USER_ROLES.indexOf(user.role) >= USER_ROLES.indexOf(role);
+}
+
+function isLastAdmin(user) {
+    return user.role === 'admin' && users.filter(u => u.role === 'admin').length === 1;
+}
+
+function closeUserSessions(username, exceptToken) {
+    for (const [token, session] of sessions) {
+        if (session.username === username && token !== exceptToken) {
+            sessions.delete(token);
+        }
+    }
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            // Cookie с неверной кодировкой пропускается, иначе ошибка была бы на каждом запросе
+            try {
+                cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                return;
+            }
+        }
+    });
+    return cookies;
+}
+
+function readCertificateInfo(file) {
+    const certificate = new crypto.X509Certificate(fs.readFileSync(file));
+    return {
+        file,
+        thumbprint: certificate.fingerprint.replace(/:/g, '').toLowerCase(),
+        subject: certificate.subject.replace(/\n/g, ', '),
+        validFrom: new Date(certificate.validFrom),
+        validTo: new Date(certificate.validTo)
+    };
+}
+
+async function listCertificates(folder) {
+    const files = fs.existsSync(folder) ? await fs.promises.readdir(folder) : [];
+    return files
+        .filter(file => /\.(pem|der)$/i.test(file))
+        .map(file => {
+            try {
+                return readCertificateInfo(path.join(folder, file));
+            } catch (error) {
+                console.warn(`Не удалось прочитать сертификат ${file}:`, error.message);
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+function initializeDevice(device) {
+    const namespace = server.engine.addressSpace.getOwnNamespace();
+
+    initializeOPCUADevice(device, namespace, devicesFolder);
+    startDevicePolling(device);
+    syncListenServers();
+    updateAllCalculatedTags();
+}
+
+function initializeOPCUADevice(device, namespace, parentFolder) {
+    // Создаем объект устройства
+    const deviceObject = namespace.addObject({
+        organizedBy: parentFolder,
+        browseName: device.name,
+        nodeId: `s=${device.id}`,
+        eventNotifier: 1,
+        notifierOf: parentFolder
+    });
+    opcuaDeviceObjects.set(device.id, deviceObject);
+
+    // Создаем переменные для каждого тега
+    device.tags.forEach(tag => {
+        addTagVariable(device, tag, namespace, deviceObject);
+    });
+
+    addDiagnosticsNodes(device, namespace, deviceObject);
+}
+
+// Папка Diagnostics с состоянием связи и счетчиками запросов устройства
+function addDiagnosticsNodes(device, namespace, deviceObject) {
+    const folder = namespace.addObject({
+        componentOf: deviceObject,
+        typeDefinition: "FolderType",
+        browseName: "Diagnostics",
+        nodeId: `s=${device.id}.Diagnostics`
+    });
+
+    const items = [
+        ['Connected', 'Boolean', () => Boolean(device.connected)],
+        ['LastError', 'String', diag => diag.lastError || ''],
+        ['LastSuccessfulPoll', 'DateTime', diag => diag.lastSuccessfulPoll],
+        ['RequestCount', 'UInt32', diag => diag.requestCount],
+        ['ErrorCount', 'UInt32', diag => diag.errorCount],
+        ['TimeoutCount', 'UInt32', diag => diag.timeoutCount],
+        ['AverageResponseTime', 'Double', diag => getAverageResponseTime(diag)],
+        ['MaxResponseTime', 'Double', diag => diag.maxResponseTime]
+    ];
+
+    items.forEach(([name, dataType, getValue]) => {
+        namespace.addVariable({
+            componentOf: folder,
+            browseName: name,
+            nodeId: `s=${device.id}.Diagnostics.${name}`,
+            dataType: dataType,
+            minimumSamplingInterval: 1000,
+            value: {
+                get: () => new opcua.Variant({
+                    dataType: opcua.DataType[dataType],
+                    value: getValue(getDiagnostics(device.id))
+                })
+            }
+        });
+    });
+}
+
+function addTagVariable(device, tag, namespace, deviceObject) {
+    const isWritable = isTagWritable(tag);
+    
+    const options = {
+        componentOf: deviceObject,
+        browseName: tag.name,
+        nodeId: `s=${device.id}_${tag.name}`,
+        description: tag.description,
+        dataType: getOPCUADataType(getValueDataType(tag)),
+        value: {
+            timestamped_get: () => createTagDataValue(device, tag),
+            set: isWritable ? (variant) => {
+                const newValue = fromOPCUAValue(getValueDataType(tag), variant.value);
+                console.log(`OPC UA запись: ${tag.name} = ${newValue}`);
+                writeTagValue(device, tag, newValue).then(success => {
+                    if (success) {
+                        console.log(`Значение ${tag.name} успешно записано`);
+                    }
+                }).catch(error => {
+                    console.error(`Устройство отвергло запись тега ${tag.name}:`, error.message);
+                });
+                return opcua.StatusCodes.Good;
+            } : undefined
+        },
+        minimumSamplingInterval: device.pollInterval || 1000,
+        accessLevel: isWritable ? 
+            opcua.makeAccessLevelFlag("CurrentRead | CurrentWrite") : 
+            opcua.makeAccessLevelFlag("CurrentRead")
+    };
+
+    // Аналоговые теги публикуются как AnalogItemType с EURange и EngineeringUnits
+    const variable = isAnalogTag(tag)
+        ? namespace.addAnalogDataItem({
+            ...options,
+            engineeringUnitsRange: getEngineeringRange(tag),
+            engineeringUnits: getEngineeringUnits(tag.engineeringUnit)
+        })
+        : namespace.addVariable(options);
+
+    if (tag.history) {
+        namespace.addressSpace.installHistoricalDataNode(variable, { historian: createTagHistorian(device, tag) });
+    }
+
+    if (tag.alarm) {
+        addTagAlarm(device, tag, namespace, deviceObject, variable);
+    }
+
+    // Сохраняем ссылку на переменную
+    if (!opcuaVariables.has(device.id)) {
+        opcuaVariables.set(device.id, new Map());
+    }
+    opcuaVariables.get(device.id).set(tag.name, variable);
+}
+
+// Канал связи - одно соединение Modbus и очередь запросов к нему.
+// Устройство без channelId получает собственный канал с параметрами
+// подключения из своей конфигурации.
+function getChannelKey(device) {
+    return device.channelId ? `channel:${device.channelId}` : `device:${device.id}`;
+}
+
+function getDeviceChannel(device) {
+    const key = getChannelKey(device);
+    if (!modbusChannels.has(key)) {
+        const config = device.channelId ? channels.find(c => c.id === device.channelId) : device;
+        if (!config) {
+            throw new Error(`Канал связи ${device.channelId} не найден`);
+        }
+        modbusChannels.set(key, createModbusChannel(key, config));
+    }
+    return modbusChannels.get(key);
+}
+
+function createModbusChannel(key, config) {
+    const channel = {
+        key,
+        config,
+        client: new ModbusRTU(),
+        connected: false,
+        connecting: null,
+        queue: [],
+        busy: false,
+        lastRequestTime: null,
+        socket: null
+    };
+
+    channel.client.on("error", (error) => {
+        console.error(`Modbus ошибка канала ${config.name}:`, error.message);
+        setChannelDisconnected(channel);
+    });
+
+    channel.client.on("close", () => {
+        console.log(`Modbus соединение канала ${config.name} закрыто`);
+        setChannelDisconnected(channel);
+    });
+
+    return channel;
+}
+
+function getChannelDevices(channel) {
+    return devices.filter(device => getChannelKey(device) === channel.key);
+}
+
+function setChannelDisconnected(channel) {
+    channel.connected = false;
+    getChannelDevices(channel).forEach(device => {
+        setDeviceConnected(device, false);
+    });
+}
+
+// Устройства канала подключаются одновременно - соединение открывается один раз
+function connectChannel(channel) {
+    if (channel.connected) return Promise.resolve();
+    if (!channel.connecting) {
+        channel.connecting = openChannel(channel).finally(() => {
+            channel.connecting = null;
+        });
+    }
+    return channel.connecting;
+}
+
+async function openChannel(channel) {
+    const { client, config } = channel;
+    let connecting;
+    if (config.type === 'tcp') {
+        connecting = client.connectTCP(config.address, {
+            port: config.port || 502,
+            timeout: getConnectTimeout(config)
+        });
+    } else if (config.type === 'rtuovertcp') {
+        connecting = client.connectTelnet(config.address, { port: config.port || 502 });
+    } else if (config.type === 'udp') {
+        connecting = client.connectUDP(config.address, { port: config.port || 502 });
+    } else if (config.type === 'rtu') {
+        connecting = client.connectRTUBuffered(config.address, getSerialOptions(config));
+    } else if (config.type === 'ascii') {
+        connecting = client.connectAsciiSerial(config.address, getSerialOptions(config));
+    } else if (config.type === LISTEN_CONNECTION_TYPE) {
+        if (!channel.socket) {
+            throw new Error(`Модем не подключен к порту ${config.port}`);
+        }
+        // Модем прозрачно передает кадры RTU, heartbeat между ответами отбрасывается
+        connecting = client.linkTelnet(channel.socket);
+    } else {
+        throw new Error(`Неизвестный тип подключения: ${config.type}`);
+    }
+    // Зависшее подключение не должно блокировать опрос устройств канала
+    await withTimeout(connecting, getConnectTimeout(config), `Таймаут подключения к ${config.address}`);
+
+    channel.connected = true;
+    console.log(`Канал ${config.name} открыт`);
+}
+
+function getSerialOptions(config) {
+    return {
+        baudRate: config.baudRate || DEFAULT_BAUD_RATE,
+        dataBits: config.dataBits || 8,
+        stopBits: config.stopBits || 1,
+        parity: config.parity || 'none'
+    };
+}
+
+// Пауза между кадрами RTU: явно заданная или 3.5 символа при текущих настройках порта
+function getInterFrameDelay(config) {
+    if (config.type !== 'rtu') return 0;
+    if (config.interFrameDelay !== undefined) return config.interFrameDelay;
+
+    const { baudRate, dataBits, stopBits, parity } = getSerialOptions(config);
+    if (baudRate > FIXED_INTER_FRAME_BAUD_RATE) return FIXED_INTER_FRAME_DELAY;
+
+    const charBits = 1 + dataBits + (parity === 'none' ? 0 : 1) + stopBits;
+    return 3.5 * charBits * 1000 / baudRate;
+}
+
+async function closeChannel(channel) {
+    setChannelDisconnected(channel);
+    await closeClientSafely(channel.client);
+}
+
+// Закрывает и забывает канал: при следующем опросе он будет создан заново
+async function removeModbusChannel(key) {
+    const channel = modbusChannels.get(key);
+    if (channel) {
+        modbusChannels.delete(key);
+        channel.socket?.destroy();
+        await closeChannel(channel);
+    }
+}
+
+// Собственный канал устройства закрывается вместе с ним, общий - когда
+// на нем не остается других устройств. У устройства OPC UA закрывается его клиент,
+// у вычисляемого устройства соединения нет
+function releaseDeviceChannel(device) {
+    if (isOPCUADevice(device)) {
+        closeOPCUAConnection(device.id);
+        return;
+    }
+    if (isCalculatedDevice(device)) {
+        return;
+    }
+    const key = getChannelKey(device);
+    const inUse = devices.some(d => d !== device && getChannelKey(d) === key);
+    if (!inUse) {
+        removeModbusChannel(key);
+    }
+}
+
+// Обрыв связи с устройством. Общий канал закрывается, только если порт
+// действительно закрыт: молчание одного устройства не должно рвать связь с остальными.
+// Входящее соединение модема тоже не разрываем - перезвонить может только сам модем.
+async function disconnectDevice(device) {
+    setDeviceConnected(device, false);
+    const channel = modbusChannels.get(getChannelKey(device));
+    const keepOpen = device.channelId || device.type === LISTEN_CONNECTION_TYPE;
+    if (channel && channel.connected && (!keepOpen || !channel.client.isOpen)) {
+        await closeChannel(channel);
+    }
+}
+
+// Слушающие порты для устройств listen: открываются и закрываются вслед за конфигурацией
+function syncListenServers() {
+    const ports = new Set(devices
+        .filter(device => !device.channelId && device.type === LISTEN_CONNECTION_TYPE)
+        .map(device => device.port));
+
+    listenServers.forEach((listener, port) => {
+        if (!ports.has(port)) {
+            listener.close();
+            listenServers.delete(port);
+            console.log(`Прием подключений модемов на порту ${port} остановлен`);
+        }
+    });
+
+    ports.forEach(port => {
+        if (listenServers.has(port)) return;
+
+        const listener = net.createServer(socket => handleModemConnection(port, socket));
+        listener.on("error", (error) => {
+            console.error(`Ошибка приема подключений на порту ${port}:`, error.message);
+        });
+        listener.listen(port, () => {
+            console.log(`Ожидание подключений модемов на порту ${port}`);
+        });
+        listenServers.set(port, listener);
+    });
+}
+
+// Модем определяется по порту, а если на порту несколько устройств - по пакету
+// регистрации. Устройство без registrationId принимает модемы, не приславшие известный пакет.
+function handleModemConnection(port, socket) {
+    const address = `${socket.remoteAddress}:${socket.remotePort}`;
+    const candidates = devices.filter(d => !d.channelId && d.type === LISTEN_CONNECTION_TYPE && d.port === port);
+    const fallback = candidates.find(d => !d.registrationId);
+    console.log(`Подключение модема ${address} к порту ${port}`);
+
+    socket.on("error", (error) => {
+        console.error(`Ошибка соединения с модемом ${address}:`, error.message);
+    });
+
+    if (!candidates.some(d => d.registrationId)) {
+        if (fallback) {
+            attachModemSocket(fallback, socket);
+        } else {
+            socket.destroy();
+        }
+        return;
+    }
+
+    const onRegistration = (data) => {
+        clearTimeout(timer);
+        socket.removeListener("data", onRegistration);
+
+        const registrationId = data.toString().trim();
+        const device = candidates.find(d => d.registrationId === registrationId) || fallback;
+        if (!device) {
+            console.warn(`Модем ${address} прислал неизвестный пакет регистрации "${registrationId}"`);
+            socket.destroy();
+            return;
+        }
+        attachModemSocket(device, socket);
+    };
+
+    const timer = setTimeout(() => {
+        socket.removeListener("data", onRegistration);
+        if (fallback) {
+            attachModemSocket(fallback, socket);
+        } else {
+            console.warn(`Модем ${address} не прислал пакет регистрации`);
+            socket.destroy();
+        }
+    }, REGISTRATION_TIMEOUT);
+
+    socket.on("data", onRegistration);
+}
+
+async function attachModemSocket(device, socket) {
+    const channel = getDeviceChannel(device);
+
+    // Модем перезвонил - прежнее соединение больше не нужно
+    const previous = channel.socket;
+    channel.socket = socket;
+    socket.on("close", () => {
+        if (channel.socket === socket) {
+            channel.socket = null;
+            setChannelDisconnected(channel);
+            console.log(`Модем устройства ${device.name} отключился`);
+        }
+    });
+
+    if (previous) {
+        previous.destroy();
+    }
+    await closeChannel(channel);
+
+    // Опрашиваем сразу, не дожидаясь задержки переподключения
+    resetReconnectBackoff(device.id);
+    console.log(`Модем ${socket.remoteAddress}:${socket.remotePort} подключен к устройству ${device.name}`);
+}
+
+// Запросы всех устройств канала выполняются строго по одному. Опросы разных
+// устройств чередуются запрос за запросом, запись ставится в начало очереди.
+function enqueueChannelRequest(channel, device, request, priority) {
+    return new Promise((resolve, reject) => {
+        const task = { device, request, resolve, reject };
+        if (priority) {
+            channel.queue.unshift(task);
+        } else {
+            channel.queue.push(task);
+        }
+        processChannelQueue(channel);
+    });
+}
+
+async function processChannelQueue(channel) {
+    if (channel.busy) return;
+    channel.busy = true;
+
+    while (channel.queue.length > 0) {
+        const task = channel.queue.shift();
+        try {
+            await waitRequestDelay(channel, task.device);
+            channel.client.setID(task.device.deviceId || 1);
+            channel.client.setTimeout(getRequestTimeout(task.device));
+            task.resolve(await task.request(channel.client));
+        } catch (error) {
+            task.reject(error);
+        } finally {
+            channel.lastRequestTime = Date.now();
+        }
+    }
+
+    channel.busy = false;
+}
+
+async function connectToDevice(device) {
+    if (device.connected && modbusChannels.get(getChannelKey(device))?.connected) return true;
+
+    // Недоступное устройство опрашиваем все реже, пока не истечет задержка
+    const diag = getDiagnostics(device.id);
+    if (diag.nextReconnectAt && Date.now() < diag.nextReconnectAt) return false;
+
+    try {
+        await connectChannel(getDeviceChannel(device));
+
+        setDeviceConnected(device, true);
+        diag.lastConnected = new Date();
+        console.log(`Подключено к устройству ${device.name}`);
+        return true;
+    } catch (error) {
+        console.error(`Ошибка подключения к устройству ${device.name}:`, error.message);
+        recordDeviceError(device, error);
+        scheduleReconnect(device);
+        setDeviceConnected(device, false);
+        return false;
+    }
+}
+
+async function readDeviceData(device) {
+    if (!device.connected) {
+        const connected = await connectToDevice(device);
+        if (!connected) {
+            markDeviceTags(device, device.tags, 'BadCommunicationError');
+            return;
+        }
+    }
+
+    for (const block of buildReadBlocks(device)) {
+        if (!device.connected) break;
+
+        try {
+            const data = await trackRequest(device, client => readModbusRange(client, block.registerType, block.start, block.end - block.start));
+            if (data && data.data) {
+                // Раскладываем ответ блока по тегам
+                block.tags.forEach(tag => {
+                    const offset = tag.address - block.start;
+                    updateTagValue(device, tag, data.data.slice(offset, offset + getTagWidth(tag)));
+                });
+            }
+        } catch (error) {
+            if (block.tags.length > 1 && isModbusException(error)) {
+                // Один неверный адрес не должен ломать весь блок - читаем теги по одному
+                console.warn(`Блочное чтение ${block.registerType} ${block.start}-${block.end - 1} устройства ${device.name} не удалось (${error.message}), читаем теги по отдельности`);
+                for (const tag of block.tags) {
+                    if (!device.connected) break;
+                    await readSingleTag(device, tag);
+                }
+            } else {
+                await handleReadError(device, block.tags, error);
+            }
+        }
+    }
+
+    if (device.connected) {
+        getDiagnostics(device.id).lastSuccessfulPoll = new Date();
+    }
+}
+
+async function readSingleTag(device, tag) {
+    try {
+        const data = await trackRequest(device, client => readModbusRange(client, tag.registerType, tag.address, getTagWidth(tag)));
+        if (data && data.data) {
+            updateTagValue(device, tag, data.data);
+        }
+    } catch (error) {
+        await handleReadError(device, [tag], error);
+    }
+}
+
+function updateTagValue(device, tag, rawData) {
+    let value;
+    try {
+        value = scaleValue(tag, convertModbusData(rawData, tag));
+    } catch (error) {
+        // Ошибка преобразования не означает потерю связи с устройством
+        console.error(`Ошибка преобразования тега ${tag.name} устройства ${device.name}:`, error.message);
+        markDeviceTags(device, [tag], 'BadDecodingError');
+        return;
+    }
+    tag.currentValue = value;
+    tag.status = 'Good';
+    tag.sourceTimestamp = tag.serverTimestamp = new Date();
+
+    // Обновляем OPC UA переменную
+    publishTagValue(device, tag);
+
+    console.log(`Устройство ${device.name}, тег ${tag.name}: ${value}`);
+}
+
+async function handleReadError(device, tags, error) {
+    console.error(`Ошибка чтения тега ${tags.map(t => t.name).join(', ')} устройства ${device.name}:`, error.message);
+
+    // Исключение Modbus означает, что устройство на связи, просто отвергло запрос
+    if (isModbusException(error)) {
+        markDeviceTags(device, tags, 'BadDeviceFailure');
+        return;
+    }
+
+    markDeviceTags(device, device.tags, 'BadCommunicationError');
+    scheduleReconnect(device);
+    await disconnectDevice(device);
+}
+
+// Последнее значение сохраняется, меняется только качество
+function markDeviceTags(device, tags, status) {
+    const now = new Date();
+    tags.forEach(tag => {
+        tag.status = status;
+        tag.serverTimestamp = now;
+        publishTagValue(device, tag);
+    });
+}
+
+function isOPCUADevice(device) {
+    return device.type === OPCUA_DEVICE_TYPE;
+}
+
+// Значения устройства OPC UA приходят по подписке, такт опроса только подключается
+// к серверу с той же задержкой переподключения, что и у устройств Modbus
+async function pollOPCUADevice(device) {
+    if (device.connected) return;
+
+    const connected = await connectToOPCUADevice(device);
+    if (!connected) {
+        markDeviceTags(device, device.tags, 'BadCommunicationError');
+    }
+}
+
+async function connectToOPCUADevice(device) {
+    const diag = getDiagnostics(device.id);
+    if (diag.nextReconnectAt && Date.now() < diag.nextReconnectAt) return false;
+
+    // Переподключением управляет мост, собственные повторы клиента отключены
+    const client = opcua.OPCUAClient.create({
+        applicationName: "Modbus-OPC-UA-Bridge",
+        endpointMustExist: false,
+        securityMode: opcua.MessageSecurityMode[device.securityMode || 'None'],
+        securityPolicy: opcua.SecurityPolicy[device.securityPolicy || 'None'],
+        connectionStrategy: { maxRetry: 0 }
+    });
+    const connection = { client, session: null, subscription: null };
+    opcuaClients.set(device.id, connection);
+
+    try {
+        const connectTimeout = getConnectTimeout(device);
+        await withTimeout(client.connect(device.endpointUrl), connectTimeout, `Таймаут подключения к ${device.endpointUrl}`);
+        client.on("connection_lost", () => handleOPCUAConnectionLost(device, connection));
+
+        connection.session = await withTimeout(client.createSession(getOPCUAUserIdentity(device)),
+            connectTimeout, `Таймаут создания сессии на ${device.endpointUrl}`);
+        connection.subscription = await connection.session.createSubscription2({
+            requestedPublishingInterval: device.pollInterval || 2000,
+            requestedMaxKeepAliveCount: OPCUA_KEEPALIVE_COUNT,
+            requestedLifetimeCount: OPCUA_KEEPALIVE_COUNT * 10,
+            maxNotificationsPerPublish: 0,
+            publishingEnabled: true,
+            priority: 0
+        });
+        connection.subscription.on("keepalive", () => confirmOPCUATags(device));
+        connection.subscription.on("received_notifications", () => confirmOPCUATags(device));
+        connection.subscription.on("terminated", () => handleOPCUAConnectionLost(device, connection));
+
+        await trackOPCUARequest(device, () => monitorOPCUATags(device, connection));
+    } catch (error) {
+        // Устройство удалили или изменили, пока шло подключение
+        if (opcuaClients.get(device.id) !== connection) return false;
+
+        console.error(`Ошибка подключения к устройству ${device.name}:`, error.message);
+        recordDeviceError(device, error);
+        scheduleReconnect(device);
+        await closeOPCUAConnection(device.id);
+        return false;
+    }
+
+    if (opcuaClients.get(device.id) !== connection) {
+        await disconnectOPCUAClient(client);
+        return false;
+    }
+
+    resetReconnectBackoff(device.id);
+    setDeviceConnected(device, true);
+    diag.lastConnected = new Date();
+    console.log(`Подключено к устройству ${device.name}`);
+    return true;
+}
+
+function getOPCUAUserIdentity(device) {
+    return device.username
+        ? { type: opcua.UserTokenType.UserName, userName: device.username, password: device.password || '' }
+        : { type: opcua.UserTokenType.Anonymous };
+}
+
+// Все теги отслеживаются одной группой, индекс элемента группы совпадает с индексом тега.
+// Неизвестный серверу NodeId не мешает остальным тегам, его тег получает код ошибки сервера
+async function monitorOPCUATags(device, connection) {
+    const tags = device.tags;
+    if (tags.length === 0) return;
+
+    const group = await connection.subscription.monitorItems(
+        tags.map(tag => ({ nodeId: tag.nodeId, attributeId: opcua.AttributeIds.Value })),
+        { samplingInterval: device.pollInterval || 2000, discardOldest: true, queueSize: 1 },
+        opcua.TimestampsToReturn.Both
+    );
+    group.on("changed", (item, dataValue, index) => updateOPCUATagValue(device, tags[index], dataValue));
+
+    group.monitoredItems.forEach((item, index) => {
+        if (item.statusCode.isNotGood()) {
+            console.error(`Тег ${tags[index].name} устройства ${device.name}: ${item.statusCode.name}`);
+            markDeviceTags(device, [tags[index]], getOPCUAStatusName(item.statusCode));
+        }
+    });
+}
+
+function updateOPCUATagValue(device, tag, dataValue) {
+    const now = new Date();
+    const variant = dataValue.value;
+    if (variant && variant.dataType !== opcua.DataType.Null) {
+        try {
+            tag.currentValue = scaleValue(tag, convertOPCUAValue(tag, variant));
+        } catch (error) {
+            console.error(`Ошибка преобразования тега ${tag.name} устройства ${device.name}:`, error.message);
+            markDeviceTags(device, [tag], 'BadTypeMismatch');
+            return;
+        }
+    }
+    // При плохом качестве без значения сохраняется последнее значение
+    tag.status = getOPCUAStatusName(dataValue.statusCode);
+    tag.sourceTimestamp = dataValue.sourceTimestamp || now;
+    tag.serverTimestamp = now;
+    getDiagnostics(device.id).lastSuccessfulPoll = now;
+
+    publishTagValue(device, tag);
+
+    console.log(`Устройство ${device.name}, тег ${tag.name}: ${tag.currentValue}`);
+}
+
+// Значение удаленного сервера к типу данных тега
+function convertOPCUAValue(tag, variant) {
+    if (variant.arrayType !== opcua.VariantArrayType.Scalar) {
+        throw new Error("массивы не поддерживаются");
+    }
+    let value = variant.value;
+    if (variant.dataType === opcua.DataType.Int64) {
+        value = fromOPCUAValue('int64', value);
+    } else if (variant.dataType === opcua.DataType.UInt64) {
+        value = fromOPCUAValue('uint64', value);
+    }
+
+    switch (tag.dataType) {
+        case 'string':
+            return String(value);
+        case 'boolean':
+            return Boolean(value);
+        default:
+            // Большие 64-битные значения остаются строкой, как при чтении из регистров
+            if (typeof value === 'string' && /^-?\d+$/.test(value) && ['int64', 'uint64'].includes(tag.dataType)) {
+                return value;
+            }
+            if (typeof value !== 'number' && typeof value !== 'boolean') {
+                throw new Error(`значение ${value} не является числом`);
+            }
+            return Number(value);
+    }
+}
+
+// Значение для записи на удаленный сервер в исходном типе тега
+function createOPCUAWriteVariant(tag, value) {
+    let raw = unscaleValue(tag, value);
+    if (isNumericDataType(tag.dataType) && typeof raw === 'number') {
+        if (isNaN(raw)) {
+            throw new Error(`значение ${value} не является числом`);
+        }
+        if (tag.dataType !== 'float' && tag.dataType !== 'double') {
+            raw = Math.round(raw);
+        }
+    }
+    return new opcua.Variant({
+        dataType: getOPCUADataTypeCode(tag.dataType),
+        arrayType: opcua.VariantArrayType.Scalar,
+        value: toOPCUAValue(tag.dataType, raw)
+    });
+}
+
+// Код качества без дополнительных битов (Overflow, LimitLow и т.п.)
+function getOPCUAStatusName(statusCode) {
+    const name = statusCode.name.split('#')[0];
+    if (opcua.StatusCodes[name]) {
+        return name;
+    }
+    if (statusCode.isGood()) return 'Good';
+    return statusCode.isBad() ? 'Bad' : 'Uncertain';
+}
+
+// Любая публикация подписки, даже пустая, подтверждает, что значения
+// на сервере не изменились
+function confirmOPCUATags(device) {
+    const now = new Date();
+    getDiagnostics(device.id).lastSuccessfulPoll = now;
+    device.tags.forEach(tag => {
+        if (tag.status === 'Good') {
+            tag.serverTimestamp = now;
+        }
+    });
+}
+
+// Время ответа сервера учитывается в диагностике так же, как у запросов Modbus
+async function trackOPCUARequest(device, request) {
+    const diag = getDiagnostics(device.id);
+    const started = Date.now();
+    diag.requestCount++;
+    const result = await withTimeout(request(), getRequestTimeout(device), `Таймаут запроса к ${device.endpointUrl}`);
+    const elapsed = Date.now() - started;
+    diag.responseCount++;
+    diag.totalResponseTime += elapsed;
+    diag.maxResponseTime = Math.max(diag.maxResponseTime, elapsed);
+    return result;
+}
+
+// Отказ сервера в записи не разрывает связь: обрыв соединения клиент сообщит сам
+async function writeOPCUATagValue(device, tag, value) {
+    const connection = opcuaClients.get(device.id);
+    if (!device.connected || !connection?.session) {
+        console.error(`Ошибка записи тега ${tag.name}: нет связи с устройством ${device.name}`);
+        return false;
+    }
+
+    let variant;
+    try {
+        variant = createOPCUAWriteVariant(tag, value);
+    } catch (error) {
+        console.error(`Недопустимое значение для тега ${tag.name}:`, error.message);
+        return false;
+    }
+
+    try {
+        await trackOPCUARequest(device, async () => {
+            const statusCode = await connection.session.write({
+                nodeId: tag.nodeId,
+                attributeId: opcua.AttributeIds.Value,
+                value: { value: variant }
+            });
+            if (statusCode.isNotGood()) {
+                throw new Error(`сервер отклонил запись: ${statusCode.name}`);
+            }
+        });
+
+        setWrittenTagValue(device, tag, value);
+        return true;
+    } catch (error) {
+        console.error(`Ошибка записи тега ${tag.name}:`, error.message);
+        recordDeviceError(device, error);
+        return false;
+    }
+}
+
+function handleOPCUAConnectionLost(device, connection) {
+    if (opcuaClients.get(device.id) !== connection) return;
+
+    console.error(`Потеряна связь с устройством ${device.name}`);
+    recordDeviceError(device, new Error("Соединение с сервером OPC UA потеряно"));
+    markDeviceTags(device, device.tags, 'BadCommunicationError');
+    scheduleReconnect(device);
+    setDeviceConnected(device, false);
+    closeOPCUAConnection(device.id);
+}
+
+// Клиент закрывается вместе с сессией и подпиской, при следующем опросе создается заново
+async function closeOPCUAConnection(deviceId) {
+    const connection = opcuaClients.get(deviceId);
+    if (connection) {
+        opcuaClients.delete(deviceId);
+        await disconnectOPCUAClient(connection.client);
+    }
+}
+
+async function disconnectOPCUAClient(client) {
+    try {
+        await withTimeout(client.disconnect(), CLOSE_TIMEOUT, "Таймаут закрытия соединения");
+    } catch (closeError) {}
+}
+
+function isCalculatedDevice(device) {
+    return device.type === CALCULATED_DEVICE_TYPE;
+}
+
+// Значения одного ответа устройства применяются вместе: иначе 32-битный счетчик
+// из двух регистров на мгновение собирается из нового и старого слова
+function scheduleDependentTags(device, tag) {
+    const wasEmpty = pendingCalculatedTags.size === 0;
+    devices.filter(isCalculatedDevice).forEach(calculatedDevice => {
+        calculatedDevice.tags.forEach(calculatedTag => {
+            if (dependsOnTag(calculatedDevice, calculatedTag, tag)) {
+                pendingCalculatedTags.set(`${calculatedDevice.id}/${calculatedTag.name}`, { device: calculatedDevice, tag: calculatedTag });
+            }
+        });
+    });
+    if (wasEmpty && pendingCalculatedTags.size > 0) {
+        setImmediate(flushCalculatedTags);
+    }
+}
+
+function dependsOnTag(device, calculatedTag, tag) {
+    let expression;
+    try {
+        expression = getCalculatedExpression(calculatedTag.expression);
+    } catch (error) {
+        return false;
+    }
+    return expression.references.some(reference =>
+        reference.tagName === tag.name && resolveCalculatedInput(device, reference)?.tag === tag);
+}
+
+function flushCalculatedTags() {
+    const pending = [...pendingCalculatedTags.values()];
+    pendingCalculatedTags.clear();
+    pending
+        .filter(({ device, tag }) => devices.includes(device) && device.tags.includes(tag))
+        .forEach(({ device, tag }) => updateCalculatedTag(device, tag));
+}
+
+// После изменения конфигурации ссылки могли появиться или пропасть
+function updateAllCalculatedTags() {
+    devices.filter(isCalculatedDevice).forEach(device => {
+        device.tags.forEach(tag => updateCalculatedTag(device, tag));
+    });
+}
+
+// При плохом входе значение не пересчитывается, тег получает качество этого входа
+function updateCalculatedTag(device, tag) {
+    const inputStatus = getCalculatedInputStatus(device, tag);
+    if (inputStatus.startsWith('Bad')) {
+        tag.status = inputStatus;
+    } else {
+        const expression = getCalculatedExpression(tag.expression);
+        const values = expression.references.map(reference => {
+            const value = resolveCalculatedInput(device, reference).tag.currentValue;
+            return typeof value === 'boolean' ? value : Number(value);
+        });
+        const value = convertCalculatedValue(tag, expression.evaluate(values));
+        if (value === null) {
+            tag.status = 'BadOutOfRange';
+        } else {
+            tag.currentValue = value;
+            tag.status = 'Good';
+        }
+    }
+    tag.sourceTimestamp = getCalculatedSourceTimestamp(device, tag);
+    tag.serverTimestamp = new Date();
+    publishTagValue(device, tag);
+}
+
+// Худшее качество входов: Bad важнее Uncertain. Устаревание входов
+// проверяется при каждом чтении, поэтому качество берется через getTagStatus
+function getCalculatedInputStatus(device, tag) {
+    let expression;
+    try {
+        expression = getCalculatedExpression(tag.expression);
+    } catch (error) {
+        return 'BadConfigurationError';
+    }
+
+    let status = 'Good';
+    for (const reference of expression.references) {
+        const input = resolveCalculatedInput(device, reference);
+        if (!input) {
+            return 'BadConfigurationError';
+        }
+        const inputStatus = getTagStatus(input.device, input.tag);
+        if (inputStatus.startsWith('Bad')) {
+            return inputStatus;
+        }
+        if (status === 'Good') {
+            status = inputStatus;
+        }
+    }
+    return status;
+}
+
+// Метка времени источника - самая свежая из меток входов
+function getCalculatedSourceTimestamp(device, tag) {
+    let latest = null;
+    try {
+        getCalculatedExpression(tag.expression).references.forEach(reference => {
+            const timestamp = resolveCalculatedInput(device, reference)?.tag.sourceTimestamp;
+            if (timestamp && (!latest || timestamp > latest)) {
+                latest = timestamp;
+            }
+        });
+    } catch (error) {}
+    return latest || new Date();
+}
+
+// null - результат не помещается в тип тега или не является числом
+function convertCalculatedValue(tag, value) {
+    if (tag.dataType === 'boolean') {
+        return Boolean(value);
+    }
+    let number = Number(value);
+    if (!Number.isFinite(number)) {
+        return null;
+    }
+    if (tag.dataType !== 'float' && tag.dataType !== 'double') {
+        number = Math.round(number);
+    }
+    const range = RAW_RANGES[tag.dataType];
+    return number >= range.low && number <= range.high ? number : null;
+}
+
+function resolveCalculatedInput(device, reference, deviceList = devices) {
+    const source = reference.deviceName === null
+        ? device
+        : deviceList.find(d => d.name === reference.deviceName);
+    const tag = source?.tags.find(t => t.name === reference.tagName);
+    return tag ? { device: source, tag } : null;
+}
+
+function getCalculatedExpression(text) {
+    if (!calculatedExpressions.has(text)) {
+        calculatedExpressions.set(text, compileExpression(text));
+    }
+    return calculatedExpressions.get(text);
+}
+
+// Разбор выражения рекурсивным спуском. Результат - функция от массива значений
+// входов в порядке references, так что выражение не исполняется как код JavaScript
+function compileExpression(text) {
+    const tokens = tokenizeExpression(text);
+    const references = [];
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isOperator = (token, value) => token?.type === 'operator' && token.value === value;
+    const expect = (value) => {
+        const token = tokens[position++];
+        if (!isOperator(token, value)) {
+            throw new Error(token ? `ожидается "${value}" вместо "${token.value}"` : `ожидается "${value}" в конце выражения`);
+        }
+    };
+
+    function parseConditional() {
+        const condition = parseBinary(1);
+        if (!isOperator(peek(), '?')) return condition;
+        position++;
+        const whenTrue = parseConditional();
+        expect(':');
+        const whenFalse = parseConditional();
+        return values => condition(values) ? whenTrue(values) : whenFalse(values);
+    }
+
+    function parseBinary(minPrecedence) {
+        let left = parseUnary();
+        for (;;) {
+            const token = peek();
+            const operator = token?.type === 'operator' ? CALCULATED_BINARY_OPERATORS[token.value] : null;
+            if (!operator || operator.precedence < minPrecedence) return left;
+            position++;
+            const leftOperand = left;
+            const rightOperand = parseBinary(operator.precedence + 1);
+            left = values => operator.apply(leftOperand(values), rightOperand(values));
+        }
+    }
+
+    function parseUnary() {
+        const token = peek();
+        const operator = token?.type === 'operator' ? CALCULATED_UNARY_OPERATORS[token.value] : null;
+        if (!operator) return parsePrimary();
+        position++;
+        const operand = parseUnary();
+        return values => operator(operand(values));
+    }
+
+    function parsePrimary() {
+        const token = tokens[position++];
+        if (!token) {
+            throw new Error("выражение оборвано");
+        }
+        if (token.type === 'number') {
+            return () => token.number;
+        }
+        if (token.type === 'reference') {
+            let index = references.findIndex(r => r.deviceName === token.reference.deviceName && r.tagName === token.reference.tagName);
+            if (index === -1) {
+                index = references.push(token.reference) - 1;
+            }
+            return values => values[index];
+        }
+        if (token.type === 'name') {
+            if (token.value === 'true' || token.value === 'false') {
+                const value = token.value === 'true';
+                return () => value;
+            }
+            return parseCall(token.value);
+        }
+        if (isOperator(token, '(')) {
+            const inner = parseConditional();
+            expect(')');
+            return inner;
+        }
+        throw new Error(`неожиданный символ "${token.value}"`);
+    }
+
+    function parseCall(name) {
+        const fn = CALCULATED_FUNCTIONS[name];
+        if (!fn) {
+            throw new Error(`неизвестная функция ${name}`);
+        }
+        expect('(');
+        const args = [];
+        if (!isOperator(peek(), ')')) {
+            args.push(parseConditional());
+            while (isOperator(peek(), ',')) {
+                position++;
+                args.push(parseConditional());
+            }
+        }
+        expect(')');
+        if (fn.args === -1 ? args.length === 0 : args.length !== fn.args) {
+            throw new Error(`неверное число аргументов функции ${name}`);
+        }
+        return values => fn.apply(...args.map(arg => Number(arg(values))));
+    }
+
+    const evaluate = parseConditional();
+    if (position < tokens.length) {
+        throw new Error(`лишний символ "${tokens[position].value}"`);
+    }
+    return { references, evaluate };
+}
+
+function tokenizeExpression(text) {
+    const tokens = [];
+    let index = 0;
+    for (;;) {
+        while (index < text.length && /\s/.test(text[index])) index++;
+        if (index >= text.length) break;
+
+        EXPRESSION_TOKEN.lastIndex = index;
+        const match = EXPRESSION_TOKEN.exec(text);
+        if (!match) {
+            throw new Error(`неверный символ "${text[index]}" в позиции ${index + 1}`);
+        }
+        index = EXPRESSION_TOKEN.lastIndex;
+
+        const [value, number, reference, name] = match;
+        if (number !== undefined) {
+            tokens.push({ type: 'number', value, number: Number(number) });
+        } else if (reference !== undefined) {
+            tokens.push({ type: 'reference', value, reference: parseTagReference(reference) });
+        } else if (name !== undefined) {
+            tokens.push({ type: 'name', value });
+        } else {
+            tokens.push({ type: 'operator', value });
+        }
+    }
+    if (tokens.length === 0) {
+        throw new Error("пустое выражение");
+    }
+    return tokens;
+}
+
+// Устройство отделяется от тега первой косой чертой
+function parseTagReference(text) {
+    const separator = text.indexOf('/');
+    const deviceName = separator === -1 ? null : text.slice(0, separator).trim();
+    const tagName = text.slice(separator + 1).trim();
+    if (deviceName === '' || !tagName) {
+        throw new Error(`неверная ссылка на тег [${text}]`);
+    }
+    return { deviceName, tagName };
+}
+
+function publishTagValue(device, tag) {
+    const variable = opcuaVariables.get(device.id)?.get(tag.name);
+    if (variable) {
+        variable.setValueFromSource(
+            createTagVariant(tag, tag.currentValue),
+            opcua.StatusCodes[getTagStatus(device, tag)],
+            tag.sourceTimestamp
+        );
+    }
+    recordTagHistory(device, tag);
+    evaluateTagAlarm(device, tag);
+    pushTagValue(device, tag);
+    publishMqttTagValue(device, tag);
+    scheduleDependentTags(device, tag);
+}
+
+// Качество Good сменяется на UncertainLastUsableValue по времени, без нового значения.
+// Такая смена расходится по тем же каналам, что и новое значение
+function publishStaleTags() {
+    devices.forEach(device => device.tags.forEach(tag => {
+        const sent = liveTagStates.get(`${device.id}/${tag.name}`);
+        if (sent && sent.status !== getTagStatus(device, tag)) {
+            publishTagValue(device, tag);
+        }
+    }));
+}
+
+function setDeviceConnected(device, connected) {
+    if (Boolean(device.connected) === connected) return;
+    device.connected = connected;
+    broadcastEvent('connection', { deviceId: device.id, connected });
+}
+
+// В поток событий уходят только изменившиеся значение или качество тега
+function pushTagValue(device, tag) {
+    const state = updateSentTagState(liveTagStates, device, tag);
+    if (!state) return;
+
+    broadcastEvent('value', {
+        deviceId: device.id,
+        tagName: tag.name,
+        value: state.value,
+        status: state.status,
+        sourceTimestamp: tag.sourceTimestamp || null,
+        serverTimestamp: tag.serverTimestamp || null
+    });
+}
+
+// Запоминает отправленное состояние тега. Возвращает null, если
+// значение и качество не изменились с прошлой отправки
+function updateSentTagState(states, device, tag) {
+    const key = `${device.id}/${tag.name}`;
+    const value = tag.currentValue ?? null;
+    const status = getTagStatus(device, tag);
+    const last = states.get(key);
+    if (last && last.value === value && last.status === status) return null;
+
+    const state = { value, status };
+    states.set(key, state);
+    return state;
+}
+
+function broadcastEvent(type, data) {
+    if (eventClients.size === 0) return;
+    const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    eventClients.forEach((token, res) => res.write(message));
+}
+
+// Комментарий не дает прокси закрыть простаивающий поток. Потоки завершенных
+// и истекших сессий закрываются, браузер переподключится и получит 401
+function pingEventClients() {
+    eventClients.forEach((token, res) => {
+        const session = sessions.get(token);
+        if (!session || session.expiresAt < Date.now()) {
+            eventClients.delete(res);
+            res.end();
+        } else {
+            res.write(': ping\n\n');
+        }
+    });
+}
+
+function getAlarmKey(deviceId, tagName) {
+    return `${deviceId}/${tagName}`;
+}
+
+function isBooleanTag(tag) {
+    return ['boolean', 'bit'].includes(getValueDataType(tag));
+}
+
+// Условие OPC UA для тревоги тега: ExclusiveLimitAlarm для числовых тегов,
+// OffNormalAlarm для дискретных. Состояние тревоги вычисляет evaluateTagAlarm,
+// условие только его отображает. Поэтому InputNode передается как NodeId:
+// node-opcua запоминает его, но не следит за значением переменной.
+// Источник условия в node-opcua должен быть связан с устройством ссылкой HasEventSource,
+// а она иерархическая и показывает тег при обзоре устройства второй раз. Поэтому
+// условие связано с устройством ссылкой HasCondition, а на тег указывают SourceNode и SourceName
+function addTagAlarm(device, tag, namespace, deviceObject, variable) {
+    const key = getAlarmKey(device.id, tag.name);
+    const options = {
+        componentOf: deviceObject,
+        conditionSource: null,
+        conditionOf: deviceObject,
+        browseName: `${tag.name}Alarm`,
+        nodeId: `s=${device.id}_${tag.name}.Alarm`,
+        inputNode: variable.nodeId
+    };
+
+    let condition;
+    if (isBooleanTag(tag)) {
+        // Нормальное состояние - значение, противоположное activeValue
+        const normalState = namespace.addVariable({
+            propertyOf: variable,
+            browseName: "NormalState",
+            nodeId: `s=${device.id}_${tag.name}.NormalState`,
+            dataType: "Boolean",
+            value: { dataType: opcua.DataType.Boolean, value: !tag.alarm.activeValue }
+        });
+        condition = namespace.instantiateOffNormalAlarm({ ...options, normalState });
+    } else {
+        // instantiateExclusiveLimitAlarm сам проверяет пределы без зоны нечувствительности,
+        // поэтому условие создается общим instantiateAlarmCondition, а пределы задаются свойствами
+        const levels = Object.keys(LIMIT_ALARM_LEVELS)
+            .filter(state => typeof tag.alarm[LIMIT_ALARM_LEVELS[state].limit] === 'number');
+        condition = namespace.instantiateAlarmCondition("ExclusiveLimitAlarmType", {
+            ...options,
+            optionals: levels.map(state => `${state}Limit`)
+        });
+        levels.forEach(state => {
+            condition[`${LIMIT_ALARM_LEVELS[state].limit}Limit`].setValueFromSource({
+                dataType: opcua.DataType.Double,
+                value: tag.alarm[LIMIT_ALARM_LEVELS[state].limit]
+            });
+        });
+        opcua.promoteToStateMachine(condition.limitState);
+    }
+    condition.sourceNode.setValueFromSource({ dataType: opcua.DataType.NodeId, value: variable.nodeId });
+    condition.sourceName.setValueFromSource({ dataType: opcua.DataType.String, value: tag.name });
+
+    // Квитирование из OPC UA клиента
+    condition.on('acknowledged', (eventId, comment) => {
+        const alarm = alarmStates.get(key);
+        if (alarm) {
+            acknowledgeAlarm(alarm, 'OPC UA', comment?.text);
+        }
+    });
+    opcuaAlarms.set(key, condition);
+
+    // Запись о тревоге появляется при первом опросе, но без срабатываний
+    // в ней нет ни сообщения, ни важности, и публиковать нечего
+    const alarm = alarmStates.get(key);
+    if (alarm?.time) {
+        publishAlarmCondition(alarm);
+    } else {
+        condition.limitState?.setState(null);
+        condition.deactivateAlarm(false);
+        condition.currentBranch().setAckedState(true);
+    }
+}
+
+// Тревога пересчитывается только по достоверному значению,
+// при потере связи состояние тревоги сохраняется
+function evaluateTagAlarm(device, tag) {
+    if (!tag.alarm || getTagStatus(device, tag) !== 'Good') return;
+
+    const key = getAlarmKey(device.id, tag.name);
+    let alarm = alarmStates.get(key);
+    if (!alarm) {
+        alarm = {
+            deviceId: device.id,
+            tagName: tag.name,
+            type: isBooleanTag(tag) ? 'discrete' : 'limit',
+            state: null,
+            active: false,
+            acknowledged: true
+        };
+        alarmStates.set(key, alarm);
+    }
+
+    const state = alarm.type === 'discrete'
+        ? (tag.currentValue === tag.alarm.activeValue ? 'Active' : null)
+        : getLimitAlarmState(tag.alarm, Number(tag.currentValue), alarm.state);
+    if (state === alarm.state) return;
+
+    alarm.state = state;
+    alarm.value = tag.currentValue;
+    alarm.time = new Date();
+    if (state) {
+        alarm.active = true;
+        alarm.acknowledged = false;
+        alarm.severity = getAlarmSeverity(tag.alarm, state);
+        alarm.activeTime = alarm.time;
+        alarm.acknowledgedTime = null;
+        alarm.acknowledgedBy = null;
+        alarm.comment = '';
+        alarm.message = alarm.type === 'discrete'
+            ? `${device.name}.${tag.name}: тревога (${tag.currentValue})`
+            : `${device.name}.${tag.name}: ${LIMIT_ALARM_LEVELS[state].text} (${tag.currentValue})`;
+        console.warn(`Тревога ${alarm.message}`);
+    } else {
+        alarm.active = false;
+        alarm.message = `${device.name}.${tag.name}: норма (${tag.currentValue})`;
+        console.log(`Тревога снята ${alarm.message}`);
+    }
+    publishAlarmCondition(alarm);
+}
+
+// Пределы уже нарушенного состояния и менее важных состояний той же стороны
+// (High для HighHigh) сдвигаются на зону нечувствительности,
+// чтобы тревога не дребезжала около границы
+function getLimitAlarmState(config, value, currentState) {
+    if (isNaN(value)) return currentState;
+
+    const deadband = config.deadband || 0;
+    for (const state of LIMIT_ALARM_CHECK_ORDER) {
+        const limit = config[LIMIT_ALARM_LEVELS[state].limit];
+        if (typeof limit !== 'number') continue;
+
+        const margin = currentState?.endsWith(state) ? deadband : 0;
+        const exceeded = state.startsWith('High') ? value > limit - margin : value < limit + margin;
+        if (exceeded) {
+            return state;
+        }
+    }
+    return null;
+}
+
+function getAlarmSeverity(config, state) {
+    if (state === 'Active') {
+        return config.severity ?? DEFAULT_DISCRETE_ALARM_SEVERITY;
+    }
+    const level = LIMIT_ALARM_LEVELS[state];
+    return config[level.severity] ?? level.defaultSeverity;
+}
+
+// Передает состояние тревоги условию OPC UA и публикует событие
+function publishAlarmCondition(alarm) {
+    const condition = opcuaAlarms.get(getAlarmKey(alarm.deviceId, alarm.tagName));
+    if (!condition) return;
+
+    condition.limitState?.setState(alarm.state);
+    if (alarm.active) {
+        condition.activateAlarm();
+    } else {
+        condition.deactivateAlarm(!alarm.acknowledged);
+    }
+    condition.currentBranch().setAckedState(alarm.acknowledged);
+    condition.raiseNewCondition({
+        message: alarm.message,
+        severity: alarm.severity,
+        quality: opcua.StatusCodes.Good,
+        retain: alarm.active || !alarm.acknowledged
+    });
+}
+
+function acknowledgeAlarm(alarm, user, comment) {
+    if (alarm.acknowledged) return;
+
+    alarm.acknowledged = true;
+    alarm.acknowledgedTime = new Date();
+    alarm.acknowledgedBy = user;
+    alarm.comment = comment || '';
+    console.log(`Тревога ${alarm.message} квитирована (${user})`);
+
+    const condition = opcuaAlarms.get(getAlarmKey(alarm.deviceId, alarm.tagName));
+    if (condition && !condition.currentBranch().getAckedState()) {
+        condition.acknowledgeAndAutoConfirmBranch(condition.currentBranch(), comment || `Квитировано: ${user}`);
+    }
+}
+
+// Узел условия OPC UA удаляется вместе с переменной тега
+function removeTagAlarm(deviceId, tagName) {
+    alarmStates.delete(getAlarmKey(deviceId, tagName));
+}
+
+function getAlarmSnapshot(alarm) {
+    const device = devices.find(d => d.id === alarm.deviceId);
+    return {
+        ...alarm,
+        deviceName: device ? device.name : alarm.deviceId
+    };
+}
+
+function getHistoryFolder(deviceId, tagName) {
+    return path.join(HISTORY_DIR, encodeURIComponent(deviceId), encodeURIComponent(tagName));
+}
+
+function getHistoryDay(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+// Значение попадает в буфер, на диск буфер сбрасывает flushHistory
+function recordTagHistory(device, tag) {
+    if (!tag.history) return;
+
+    const key = `${device.id}/${tag.name}`;
+    const sample = { t: Date.now(), v: tag.currentValue ?? null, s: getTagStatus(device, tag) };
+    const last = historyLastSamples.get(key);
+    if (last && last.v === sample.v && last.s === sample.s && sample.t - last.t < HISTORY_SAMPLE_INTERVAL) {
+        return;
+    }
+    historyLastSamples.set(key, sample);
+
+    const file = path.join(getHistoryFolder(device.id, tag.name), `${getHistoryDay(sample.t)}.jsonl`);
+    if (!historyBuffer.has(file)) {
+        historyBuffer.set(file, []);
+    }
+    historyBuffer.get(file).push(JSON.stringify(sample));
+}
+
+// Записи выполняются по очереди, чтобы строки одного файла не перемешивались
+function flushHistory() {
+    const pending = [...historyBuffer];
+    historyBuffer.clear();
+    historyFlush = historyFlush.then(async () => {
+        for (const [file, lines] of pending) {
+            try {
+                await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                await fs.promises.appendFile(file, lines.join('\n') + '\n');
+            } catch (error) {
+                console.error(`Ошибка записи истории ${file}:`, error.message);
+            }
+        }
+    });
+    return historyFlush;
+}
+
+async function readTagHistory(deviceId, tagName, from, to) {
+    await flushHistory();
+
+    const folder = getHistoryFolder(deviceId, tagName);
+    const files = fs.existsSync(folder) ? await fs.promises.readdir(folder) : [];
+    const fromDay = getHistoryDay(from);
+    const toDay = getHistoryDay(to);
+    const samples = [];
+    for (const file of files.filter(f => f.slice(0, 10) >= fromDay && f.slice(0, 10) <= toDay)) {
+        const content = await fs.promises.readFile(path.join(folder, file), 'utf8');
+        content.split('\n').forEach(line => {
+            if (!line) return;
+            try {
+                const sample = JSON.parse(line);
+                if (sample.t >= from && sample.t <= to) {
+                    samples.push(sample);
+                }
+            } catch (error) {
+                // Строка, оборванная при аварийной остановке, пропускается
+            }
+        });
+    }
+    return samples.sort((a, b) => a.t - b.t);
+}
+
+// Срок хранения берется из настроек тега, для удаленных тегов - по умолчанию
+async function cleanupHistory() {
+    try {
+        if (!fs.existsSync(HISTORY_DIR)) return;
+
+        for (const deviceFolder of await fs.promises.readdir(HISTORY_DIR)) {
+            const device = devices.find(d => encodeURIComponent(d.id) === deviceFolder);
+            for (const tagFolder of await fs.promises.readdir(path.join(HISTORY_DIR, deviceFolder))) {
+                const tag = device?.tags.find(t => encodeURIComponent(t.name) === tagFolder);
+                const retentionDays = tag?.historyRetentionDays || DEFAULT_HISTORY_RETENTION_DAYS;
+                const oldestDay = getHistoryDay(Date.now() - retentionDays * DAY_MS);
+                const folder = path.join(HISTORY_DIR, deviceFolder, tagFolder);
+                for (const file of await fs.promises.readdir(folder)) {
+                    if (file.slice(0, 10) < oldestDay) {
+                        await fs.promises.rm(path.join(folder, file), { force: true });
+                    }
+                }
+            }
+        }
+    } catch (error) {
+        console.error("Ошибка очистки истории:", error.message);
+    }
+}
+
+// Период делится на интервалы, в каждом остаются минимум и максимум, чтобы
+// на графике не терялись пики. Нечисловые значения и плохое качество не прореживаются
+function downsampleHistory(samples, from, to, maxPoints) {
+    const bucketCount = Math.max(1, Math.floor(maxPoints / 2));
+    const bucketSize = (to - from + 1) / bucketCount;
+    const buckets = new Map();
+    const result = [];
+
+    samples.forEach(sample => {
+        const value = typeof sample.v === 'boolean' ? Number(sample.v) : sample.v;
+        if (typeof value !== 'number' || sample.s !== 'Good') {
+            result.push(sample);
+            return;
+        }
+        const index = Math.floor((sample.t - from) / bucketSize);
+        const bucket = buckets.get(index);
+        if (!bucket) {
+            buckets.set(index, { min: sample, max: sample, minValue: value, maxValue: value });
+        } else if (value < bucket.minValue) {
+            bucket.min = sample;
+            bucket.minValue = value;
+        } else if (value > bucket.maxValue) {
+            bucket.max = sample;
+            bucket.maxValue = value;
+        }
+    });
+
+    buckets.forEach(bucket => {
+        result.push(bucket.min);
+        if (bucket.max !== bucket.min) {
+            result.push(bucket.max);
+        }
+    });
+    return result.sort((a, b) => a.t - b.t);
+}
+
+function parseHistoryTime(value, defaultTime) {
+    if (value === undefined || value === '') {
+        return defaultTime;
+    }
+    return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+// Источник HistoryRead переменной OPC UA. Значения в хранилище пишет publishTagValue,
+// поэтому push от node-opcua ничего не делает
+function createTagHistorian(device, tag) {
+    return {
+        push: async () => {},
+        extractDataValues(details, maxNumberToExtract, isReversed, reverseDataValue, callback) {
+            const from = details.startTime && !opcua.isMinDate(details.startTime) ? details.startTime.getTime() : 0;
+            const to = details.endTime && !opcua.isMinDate(details.endTime) ? details.endTime.getTime() : Date.now();
+            readTagHistory(device.id, tag.name, from, to).then(samples => {
+                if (isReversed) {
+                    samples.reverse();
+                }
+                if (maxNumberToExtract) {
+                    samples = samples.slice(0, maxNumberToExtract);
+                }
+                const dataValues = samples.map(sample => new opcua.DataValue({
+                    value: createTagVariant(tag, sample.v),
+                    statusCode: opcua.StatusCodes[sample.s] || opcua.StatusCodes.Bad,
+                    sourceTimestamp: new Date(sample.t),
+                    serverTimestamp: new Date(sample.t)
+                }));
+                callback(null, reverseDataValue ? dataValues.reverse() : dataValues);
+            }, error => callback(error));
+        }
+    };
+}
+
+function getMaxValueAge(device) {
+    return device.maxValueAge || (device.pollInterval || 2000) * DEFAULT_STALE_POLL_COUNT;
+}
+
+// Качество тега с учетом возраста значения. Возраст считается от последнего
+// подтверждения значения мостом: у тегов OPC UA метка источника - время изменения
+function getTagStatus(device, tag) {
+    if (!tag.status) {
+        return 'BadWaitingForInitialData';
+    }
+    // Вычисляемый тег устаревает вместе со своими входами
+    if (isCalculatedDevice(device)) {
+        return tag.status === 'Good' ? getCalculatedInputStatus(device, tag) : tag.status;
+    }
+    if (tag.status === 'Good' && Date.now() - tag.serverTimestamp > getMaxValueAge(device)) {
+        return 'UncertainLastUsableValue';
+    }
+    return tag.status;
+}
+
+function createTagDataValue(device, tag) {
+    return new opcua.DataValue({
+        value: createTagVariant(tag, tag.currentValue),
+        statusCode: opcua.StatusCodes[getTagStatus(device, tag)],
+        sourceTimestamp: tag.sourceTimestamp || null,
+        serverTimestamp: new Date()
+    });
+}
+
+function createDiagnostics() {
+    return {
+        lastError: null,
+        lastErrorTime: null,
+        lastConnected: null,
+        lastSuccessfulPoll: null,
+        requestCount: 0,
+        errorCount: 0,
+        timeoutCount: 0,
+        responseCount: 0,
+        totalResponseTime: 0,
+        maxResponseTime: 0,
+        reconnectAttempts: 0,
+        reconnectDelay: 0,
+        nextReconnectAt: null
+    };
+}
+
+function getDiagnostics(deviceId) {
+    if (!deviceDiagnostics.has(deviceId)) {
+        deviceDiagnostics.set(deviceId, createDiagnostics());
+    }
+    return deviceDiagnostics.get(deviceId);
+}
+
+// Сбрасываются только счетчики, время последних событий сохраняется
+function resetDiagnostics(deviceId) {
+    const diag = getDiagnostics(deviceId);
+    Object.assign(diag, {
+        requestCount: 0,
+        errorCount: 0,
+        timeoutCount: 0,
+        responseCount: 0,
+        totalResponseTime: 0,
+        maxResponseTime: 0
+    });
+}
+
+function getAverageResponseTime(diag) {
+    return diag.responseCount ? diag.totalResponseTime / diag.responseCount : 0;
+}
+
+function getDiagnosticsSnapshot(device) {
+    const diag = getDiagnostics(device.id);
+    return {
+        connected: Boolean(device.connected),
+        lastError: diag.lastError,
+        lastErrorTime: diag.lastErrorTime,
+        lastConnected: diag.lastConnected,
+        lastSuccessfulPoll: diag.lastSuccessfulPoll,
+        requestCount: diag.requestCount,
+        errorCount: diag.errorCount,
+        timeoutCount: diag.timeoutCount,
+        averageResponseTime: getAverageResponseTime(diag),
+        maxResponseTime: diag.maxResponseTime,
+        reconnect: {
+            attempts: diag.reconnectAttempts,
+            delay: diag.reconnectDelay,
+            nextAttemptAt: diag.nextReconnectAt
+        }
+    };
+}
+
+function recordDeviceError(device, error) {
+    const diag = getDiagnostics(device.id);
+    diag.errorCount++;
+    diag.lastError = error.message;
+    diag.lastErrorTime = new Date();
+    if (isTimeoutError(error)) {
+        diag.timeoutCount++;
+    }
+}
+
+// Выполняет Modbus запрос через очередь канала с учетом в диагностике устройства.
+// request получает клиент канала, уже настроенный на адрес устройства.
+async function trackRequest(device, request, priority = false) {
+    const channel = getDeviceChannel(device);
+    const diag = getDiagnostics(device.id);
+    const retries = device.retries ?? DEFAULT_RETRY_COUNT;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            // Время ответа считаем без ожидания в очереди
+            const result = await enqueueChannelRequest(channel, device, async client => {
+                const started = Date.now();
+                diag.requestCount++;
+                const response = await request(client);
+                const elapsed = Date.now() - started;
+                diag.responseCount++;
+                diag.totalResponseTime += elapsed;
+                diag.maxResponseTime = Math.max(diag.maxResponseTime, elapsed);
+                return response;
+            }, priority);
+            // Задержка переподключения сбрасывается только после ответа устройства
+            if (diag.reconnectAttempts) {
+                resetReconnectBackoff(device.id);
+            }
+            return result;
+        } catch (error) {
+            recordDeviceError(device, error);
+            // Повторяем только таймауты: исключение Modbus вернется снова
+            if (attempt >= retries || !isTimeoutError(error)) {
+                throw error;
+            }
+            console.warn(`Таймаут запроса к устройству ${device.name}, повтор ${attempt + 1} из ${retries}`);
+        }
+    }
+}
+
+// Пауза между запросами для медленных устройств: на общем канале действует
+// большая из задержек канала и устройства, но не меньше паузы между кадрами RTU
+async function waitRequestDelay(channel, device) {
+    const delay = Math.max(channel.config.requestDelay || 0, device.requestDelay || 0, getInterFrameDelay(channel.config));
+    if (!delay || !channel.lastRequestTime) return;
+
+    const wait = channel.lastRequestTime + delay - Date.now();
+    if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+    }
+}
+
+function getRequestTimeout(device) {
+    return device.requestTimeout || DEFAULT_REQUEST_TIMEOUT;
+}
+
+function getConnectTimeout(device) {
+    return device.connectTimeout || DEFAULT_CONNECT_TIMEOUT;
+}
+
+// Закрытие порта, который так и не открылся, может не завершиться никогда
+async function closeClientSafely(client) {
+    try {
+        await withTimeout(client.close(), CLOSE_TIMEOUT, "Таймаут закрытия соединения");
+    } catch (closeError) {}
+}
+
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(message);
+            error.errno = 'ETIMEDOUT';
+            reject(error);
+        }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Экспоненциальная задержка переподключения, ограниченная maxReconnectDelay
+function scheduleReconnect(device) {
+    const diag = getDiagnostics(device.id);
+    const baseDelay = device.reconnectDelay || DEFAULT_RECONNECT_DELAY;
+    const maxDelay = device.maxReconnectDelay || DEFAULT_MAX_RECONNECT_DELAY;
+
+    diag.reconnectAttempts++;
+    diag.reconnectDelay = Math.min(baseDelay * Math.pow(2, diag.reconnectAttempts - 1), maxDelay);
+    diag.nextReconnectAt = new Date(Date.now() + diag.reconnectDelay);
+    console.log(`Следующая попытка подключения к ${device.name} через ${diag.reconnectDelay} мс`);
+}
+
+function resetReconnectBackoff(deviceId) {
+    const diag = getDiagnostics(deviceId);
+    diag.reconnectAttempts = 0;
+    diag.reconnectDelay = 0;
+    diag.nextReconnectAt = null;
+}
+
+function isTimeoutError(error) {
+    return error && (error.errno === 'ETIMEDOUT' || /timed out/i.test(error.message));
+}
+
+function isModbusException(error) {
+    return error && error.modbusCode !== undefined;
+}
+
+function readModbusRange(client, registerType, address, count) {
+    switch (registerType) {
+        case 'holding': return client.readHoldingRegisters(address, count);
+        case 'input': return client.readInputRegisters(address, count);
+        case 'coil': return client.readCoils(address, count);
+        case 'discrete': return client.readDiscreteInputs(address, count);
+        default: return Promise.reject(new Error(`Неизвестный тип регистра: ${registerType}`));
+    }
+}
+
+// Группировка тегов в блоки для чтения одним запросом FC1/2/3/4.
+// Теги одного типа регистра объединяются, если разрыв между ними не больше
+// maxReadGap, а общий размер блока не превышает maxReadBlockSize.
+function buildReadBlocks(device) {
+    const maxGap = device.maxReadGap ?? DEFAULT_MAX_READ_GAP;
+    const byType = new Map();
+
+    device.tags.forEach(tag => {
+        if (!byType.has(tag.registerType)) {
+            byType.set(tag.registerType, []);
+        }
+        byType.get(tag.registerType).push(tag);
+    });
+
+    const blocks = [];
+    byType.forEach((tags, registerType) => {
+        const protocolLimit = isBitRegister(registerType) ? MAX_BITS_PER_READ : MAX_REGISTERS_PER_READ;
+        const maxSize = Math.min(device.maxReadBlockSize || DEFAULT_MAX_READ_BLOCK_SIZE, protocolLimit);
+        let block = null;
+
+        tags.sort((a, b) => a.address - b.address).forEach(tag => {
+            const start = tag.address;
+            const end = start + getTagWidth(tag);
+
+            if (block && start - block.end <= maxGap && Math.max(block.end, end) - block.start <= maxSize) {
+                block.end = Math.max(block.end, end);
+                block.tags.push(tag);
+            } else {
+                block = { registerType, start, end, tags: [tag] };
+                blocks.push(block);
+            }
+        });
+    });
+
+    return blocks;
+}
+
+function isBitRegister(registerType) {
+    return registerType === 'coil' || registerType === 'discrete';
+}
+
+function getTagWidth(tag) {
+    return isBitRegister(tag.registerType) ? 1 : getRegisterCount(tag);
+}
+
+// Новая функция для записи значений
+async function writeTagValue(device, tag, value) {
+    if (isOPCUADevice(device)) {
+        return writeOPCUATagValue(device, tag, value);
+    }
+
+    if (!device.connected) {
+        const connected = await connectToDevice(device);
+        if (!connected) return false;
+    }
+
+    // Конвертируем значение в регистры с учетом порядка байт тега
+    let registers;
+    if (tag.registerType === 'holding' && tag.dataType !== 'bit') {
+        try {
+            registers = convertToModbusRegisters(unscaleValue(tag, value), tag);
+        } catch (error) {
+            console.error(`Недопустимое значение для тега ${tag.name}:`, error.message);
+            return false;
+        }
+    }
+
+    try {
+        if (tag.registerType === 'holding' && tag.dataType === 'bit') {
+            // Бит внутри регистра: читаем регистр, меняем бит и пишем обратно
+            // одной задачей очереди, чтобы между чтением и записью не вклинились другие запросы
+            await trackRequest(device, async client => {
+                const current = await client.readHoldingRegisters(tag.address, 1);
+                return client.writeRegister(tag.address, setRegisterBit(current.data, tag, value)[0]);
+            }, true);
+        } else if (tag.registerType === 'holding') {
+            if (registers.length > 1) {
+                await trackRequest(device, client => client.writeRegisters(tag.address, registers), true);
+            } else {
+                await trackRequest(device, client => client.writeRegister(tag.address, registers[0]), true);
+            }
+        } else if (tag.registerType === 'coil') {
+            await trackRequest(device, client => client.writeCoil(tag.address, Boolean(value)), true);
+        }
+
+        setWrittenTagValue(device, tag, value);
+        return true;
+    } catch (error) {
+        console.error(`Ошибка записи тега ${tag.name}:`, error.message);
+        // Как и при чтении, исключение Modbus не повод разрывать связь:
+        // устройство на связи и только отвергло запись
+        if (isModbusException(error)) throw error;
+        await disconnectDevice(device);
+        return false;
+    }
+}
+
+// Записанное значение публикуется так же, как прочитанное при опросе: качество
+// и метки времени обновляются сразу, для любого источника записи
+function setWrittenTagValue(device, tag, value) {
+    tag.currentValue = value;
+    tag.status = 'Good';
+    tag.sourceTimestamp = tag.serverTimestamp = new Date();
+    console.log(`Записано значение: ${tag.name} = ${value}`);
+    publishTagValue(device, tag);
+}
+
+function convertToModbusRegisters(value, tag) {
+    const buffer = Buffer.alloc(getRegisterCount(tag) * 2);
+    switch (tag.dataType) {
+        case 'float':
+            buffer.writeFloatBE(value, 0);
+            break;
+        case 'double':
+            buffer.writeDoubleBE(value, 0);
+            break;
+        case 'int32':
+            buffer.writeInt32BE(Math.round(value), 0);
+            break;
+        case 'uint32':
+            buffer.writeUInt32BE(Math.round(value), 0);
+            break;
+        case 'int64':
+            buffer.writeBigInt64BE(toBigInt(value), 0);
+            break;
+        case 'uint64':
+            buffer.writeBigUInt64BE(toBigInt(value), 0);
+            break;
+        case 'int16':
+            buffer.writeInt16BE(Math.round(value), 0);
+            break;
+        case 'string':
+            // Строка фиксированной длины, остаток заполняется нулями
+            buffer.write(String(value), 0, getStringEncoding(tag));
+            break;
+        case 'bcd16':
+            buffer.writeUInt16BE(encodeBCD(value, 4), 0);
+            break;
+        case 'bcd32':
+            buffer.writeUInt32BE(encodeBCD(value, 8), 0);
+            break;
+        case 'boolean':
+            buffer.writeUInt16BE(Boolean(value) ? 1 : 0, 0);
+            break;
+        default:
+            buffer.writeUInt16BE(Math.round(value), 0);
+    }
+    return bufferToRegisters(buffer, tag.byteOrder);
+}
+
+function isWordSwapped(byteOrder) {
+    return byteOrder === 'CDAB' || byteOrder === 'DCBA';
+}
+
+function isByteSwapped(byteOrder) {
+    return byteOrder === 'BADC' || byteOrder === 'DCBA';
+}
+
+// Собирает регистры в буфер big-endian (ABCD), из которого читаются значения
+function registersToBuffer(registers, byteOrder) {
+    const words = isWordSwapped(byteOrder) ? [...registers].reverse() : registers;
+    const buffer = Buffer.alloc(words.length * 2);
+    words.forEach((word, i) => buffer.writeUInt16BE(word & 0xFFFF, i * 2));
+    if (isByteSwapped(byteOrder)) {
+        buffer.swap16();
+    }
+    return buffer;
+}
+
+// Обратное преобразование: буфер big-endian в регистры в порядке устройства
+function bufferToRegisters(buffer, byteOrder) {
+    const bytes = Buffer.from(buffer);
+    if (isByteSwapped(byteOrder)) {
+        bytes.swap16();
+    }
+    const registers = [];
+    for (let i = 0; i < bytes.length; i += 2) {
+        registers.push(bytes.readUInt16BE(i));
+    }
+    return isWordSwapped(byteOrder) ? registers.reverse() : registers;
+}
+
+// Тег устройства OPC UA доступен для записи, только если это разрешено в его настройках
+function isTagWritable(tag) {
+    if (tag.nodeId !== undefined) {
+        return tag.writable === true;
+    }
+    return tag.registerType === 'holding' || tag.registerType === 'coil';
+}
+
+function getRegisterCount(tag) {
+    switch (tag.dataType) {
+        case 'float': return 2;
+        case 'int32': return 2;
+        case 'uint32': return 2;
+        case 'bcd32': return 2;
+        case 'double': return 4;
+        case 'int64': return 4;
+        case 'uint64': return 4;
+        case 'string': return Math.max(parseInt(tag.length) || 1, 1);
+        default: return 1;
+    }
+}
+
+function convertModbusData(data, tag) {
+    // Дискретные входы и катушки приходят массивом boolean
+    if (tag.dataType === 'boolean') {
+        return Boolean(data[0]);
+    }
+
+    const buffer = registersToBuffer(data.slice(0, getRegisterCount(tag)), tag.byteOrder);
+    switch (tag.dataType) {
+        case 'float':
+            return buffer.readFloatBE(0);
+        case 'double':
+            return buffer.readDoubleBE(0);
+        case 'int32':
+            return buffer.readInt32BE(0);
+        case 'uint32':
+            return buffer.readUInt32BE(0);
+        case 'int64':
+            return fromBigInt(buffer.readBigInt64BE(0));
+        case 'uint64':
+            return fromBigInt(buffer.readBigUInt64BE(0));
+        case 'int16':
+            return buffer.readInt16BE(0);
+        case 'uint16':
+            return buffer.readUInt16BE(0);
+        case 'string':
+            return buffer.toString(getStringEncoding(tag)).replace(/\0[\s\S]*$/, '').trimEnd();
+        case 'bcd16':
+            return decodeBCD(buffer.readUInt16BE(0), 4);
+        case 'bcd32':
+            return decodeBCD(buffer.readUInt32BE(0), 8);
+        case 'bit':
+            return Boolean((buffer.readUInt16BE(0) >> getBitIndex(tag)) & 1);
+        default:
+            return data[0];
+    }
+}
+
+function getStringEncoding(tag) {
+    return tag.encoding === 'utf8' ? 'utf8' : 'ascii';
+}
+
+function getBitIndex(tag) {
+    return (parseInt(tag.bitIndex) || 0) & 0x0F;
+}
+
+function setRegisterBit(data, tag, value) {
+    const buffer = registersToBuffer(data.slice(0, 1), tag.byteOrder);
+    const mask = 1 << getBitIndex(tag);
+    const word = buffer.readUInt16BE(0);
+    buffer.writeUInt16BE(Boolean(value) ? (word | mask) : (word & ~mask), 0);
+    return bufferToRegisters(buffer, tag.byteOrder);
+}
+
+function decodeBCD(raw, digits) {
+    let result = 0;
+    for (let i = digits - 1; i >= 0; i--) {
+        const digit = Math.floor(raw / Math.pow(16, i)) % 16;
+        if (digit > 9) {
+            throw new Error(`Некорректное BCD значение 0x${raw.toString(16)}`);
+        }
+        result = result * 10 + digit;
+    }
+    return result;
+}
+
+function encodeBCD(value, digits) {
+    let number = Math.round(value);
+    if (number < 0 || number >= Math.pow(10, digits)) {
+        throw new Error(`Значение ${value} не помещается в ${digits} BCD разрядов`);
+    }
+    let result = 0;
+    for (let i = 0; i < digits; i++) {
+        result += (number % 10) * Math.pow(16, i);
+        number = Math.floor(number / 10);
+    }
+    return result;
+}
+
+// 64-битные значения храним числом, пока оно точно представимо, иначе строкой
+function fromBigInt(value) {
+    const number = Number(value);
+    return Number.isSafeInteger(number) ? number : value.toString();
+}
+
+function toBigInt(value) {
+    return typeof value === 'number' ? BigInt(Math.round(value)) : BigInt(value);
+}
+
+// Значение тега в формате node-opcua (Int64/UInt64 передаются парой [high, low])
+function toOPCUAValue(dataType, value) {
+    if (dataType === 'int64' || dataType === 'uint64') {
+        const big = BigInt.asUintN(64, toBigInt(value));
+        return [Number(big >> 32n), Number(big & 0xFFFFFFFFn)];
+    }
+    return value;
+}
+
+function fromOPCUAValue(dataType, value) {
+    if ((dataType === 'int64' || dataType === 'uint64') && Array.isArray(value)) {
+        const big = (BigInt(value[0]) << 32n) | BigInt(value[1]);
+        return fromBigInt(dataType === 'int64' ? BigInt.asIntN(64, big) : big);
+    }
+    return value;
+}
+
+function createTagVariant(tag, value) {
+    const dataType = getValueDataType(tag);
+    return new opcua.Variant({
+        dataType: getOPCUADataTypeCode(dataType),
+        arrayType: opcua.VariantArrayType.Scalar,
+        value: toOPCUAValue(dataType, value ?? getDefaultValue(dataType))
+    });
+}
+
+function getDefaultValue(dataType) {
+    switch (dataType) {
+        case 'string': return '';
+        case 'boolean':
+        case 'bit': return false;
+        default: return 0;
+    }
+}
+
+// Значение, пришедшее от веб-интерфейса, к типу данных тега
+function parseWriteValue(tag, value) {
+    switch (getValueDataType(tag)) {
+        case 'string':
+            return String(value);
+        case 'int64':
+        case 'uint64':
+            return typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? fromBigInt(BigInt(value.trim())) : parseFloat(value);
+        case 'boolean':
+        case 'bit':
+            return parseBooleanValue(value);
+        default:
+            return parseFloat(value);
+    }
+}
+
+// Из формы и MQTT значение часто приходит строкой: "false" не должно стать true
+function parseBooleanValue(value) {
+    if (typeof value === 'boolean') return value;
+    if (typeof value === 'number' && isFinite(value)) return value !== 0;
+    const text = String(value).trim().toLowerCase();
+    if (text === 'true' || text === '1') return true;
+    if (text === 'false' || text === '0') return false;
+    throw new Error(`Неверное логическое значение ${value}, ожидается true, false, 1 или 0`);
+}
+
+const SCALING_TYPES = ['none', 'range', 'linear'];
+
+// Диапазоны "сырых" значений числовых типов данных
+const RAW_RANGES = {
+    'int16': { low: -32768, high: 32767 },
+    'uint16': { low: 0, high: 65535 },
+    'int32': { low: -2147483648, high: 2147483647 },
+    'uint32': { low: 0, high: 4294967295 },
+    'int64': { low: -9223372036854775808, high: 9223372036854775807 },
+    'uint64': { low: 0, high: 18446744073709551615 },
+    'bcd16': { low: 0, high: 9999 },
+    'bcd32': { low: 0, high: 99999999 },
+    'float': { low: -3.4028234663852886e38, high: 3.4028234663852886e38 },
+    'double': { low: -Number.MAX_VALUE, high: Number.MAX_VALUE }
+};
+
+function isNumericDataType(dataType) {
+    return RAW_RANGES[dataType] !== undefined;
+}
+
+function isTagScaled(tag) {
+    return isNumericDataType(tag.dataType) && (tag.scaling === 'range' || tag.scaling === 'linear');
+}
+
+// Масштабированные теги публикуются как Double независимо от типа регистров
+function getValueDataType(tag) {
+    return isTagScaled(tag) ? 'double' : tag.dataType;
+}
+
+function isAnalogTag(tag) {
+    return isNumericDataType(tag.dataType) && (isTagScaled(tag) || Boolean(tag.engineeringUnit));
+}
+
+// Линейное масштабирование: по двум точкам (range) или множитель и смещение (linear)
+function scaleValue(tag, raw) {
+    if (!isTagScaled(tag) || typeof raw !== 'number') return raw;
+
+    if (tag.scaling === 'range') {
+        const k = (tag.euMax - tag.euMin) / (tag.rawMax - tag.rawMin);
+        return tag.euMin + (raw - tag.rawMin) * k;
+    }
+    return raw * (tag.multiplier ?? 1) + (tag.offset ?? 0);
+}
+
+function unscaleValue(tag, value) {
+    if (!isTagScaled(tag)) return value;
+
+    if (tag.scaling === 'range') {
+        const k = (tag.rawMax - tag.rawMin) / (tag.euMax - tag.euMin);
+        return tag.rawMin + (value - tag.euMin) * k;
+    }
+    return (value - (tag.offset ?? 0)) / (tag.multiplier ?? 1);
+}
+
+function getEngineeringRange(tag) {
+    if (typeof tag.euMin === 'number' && typeof tag.euMax === 'number') {
+        return { low: tag.euMin, high: tag.euMax };
+    }
+    const raw = RAW_RANGES[tag.dataType];
+    const a = scaleValue(tag, raw.low);
+    const b = scaleValue(tag, raw.high);
+    return { low: Math.min(a, b), high: Math.max(a, b) };
+}
+
+// Ищем единицу среди стандартных UNECE, иначе создаем собственную
+function getEngineeringUnits(unit) {
+    if (!unit) return undefined;
+
+    const standard = Object.entries(opcua.standardUnits)
+        .find(([key, info]) => key === unit || info.displayName.text === unit);
+    return standard ? standard[1] : opcua.makeEUInformation('', unit, unit);
+}
+
+// Ошибки конфигурации устройства. Поле задается путем (tags.0.address), пустое поле -
+// ошибка устройства целиком. Кроме опубликованной схемы проверяются правила, которые
+// схемой не выразить, и все ошибки возвращаются одним списком. deviceList - устройства,
+// среди которых проверяются уникальность имени и ссылки вычисляемых тегов
+function getDeviceErrors(device, deviceList = devices) {
+    const errors = validateDeviceSchema(device) ? [] : getSchemaErrors(validateDeviceSchema.errors);
+    if (!Array.isArray(device?.tags)) {
+        return errors;
+    }
+
+    // Правила рассчитаны на поля нужных типов, поэтому теги с ошибками схемы
+    // в них не участвуют. Номера остальных тегов переводятся обратно в номера в device
+    const invalidTags = new Set(errors.map(error => getFieldTagIndex(error.field)).filter(index => index !== null));
+    const indexes = device.tags.map((tag, i) => i).filter(i => !invalidTags.has(i));
+    const checked = { ...device, tags: indexes.map(i => device.tags[i]) };
+    const list = getDeviceListWith(checked, deviceList);
+    const add = (prefix, error) => {
+        if (error) {
+            const field = [prefix, error.field].filter(Boolean).join('.')
+                .replace(/^tags\.(\d+)/, (match, index) => `tags.${indexes[index]}`);
+            errors.push(fieldError(field, error.message));
+        }
+    };
+
+    if (list.some(d => d !== checked && d.name === checked.name)) {
+        add('', fieldError('name', "устройство с таким именем уже есть"));
+    }
+    checked.tags.forEach((tag, i) => {
+        // Имя тега входит в NodeId, поэтому повтор имени ломает адресное пространство
+        const duplicate = checked.tags.findIndex(t => t.name === tag.name) < i;
+        add(`tags.${i}`, duplicate
+            ? fieldError('name', "тег с таким именем уже есть")
+            : validateTag(tag) || validateDeviceTag(checked, tag, list));
+    });
+
+    if (checked.type === OPCUA_DEVICE_TYPE) {
+        add('', validateOPCUADevice(checked));
+    } else if (checked.type === CALCULATED_DEVICE_TYPE) {
+        add('', validateCalculatedDevice(checked, list));
+    } else {
+        getRegisterErrors(checked).forEach(error => add('', error));
+        add('', validateDeviceChannel(checked));
+        add('', validateListenDevice(checked, list));
+    }
+    return errors;
+}
+
+// Номер тега, к которому относится поле ошибки, или null для полей устройства
+function getFieldTagIndex(field) {
+    const match = field.match(/^tags\.(\d+)/);
+    return match ? Number(match[1]) : null;
+}
+
+function fieldError(field, message) {
+    return { field, message };
+}
+
+// Одна строка для журнала и клиентов, которым не нужен список ошибок по полям
+function formatDeviceError(device, error) {
+    const [, index, field] = error.field.match(/^tags\.(\d+)\.?(.*)$/) || [];
+    if (index !== undefined) {
+        const name = device.tags?.[index]?.name || `№${Number(index) + 1}`;
+        return `Тег ${name}${field ? `, ${field}` : ''}: ${error.message}`;
+    }
+    return error.field ? `${error.field}: ${error.message}` : error.message;
+}
+
+// Ajv сообщает ошибки по-английски и с путем в виде /tags/0/address
+function getSchemaErrors(schemaErrors) {
+    return schemaErrors
+        // Невыполненное условие if/then дублирует ошибки своей ветки
+        .filter(error => error.keyword !== 'if')
+        .map(error => {
+            const path = error.instancePath.split('/').slice(1);
+            const property = error.params.missingProperty ?? error.params.additionalProperty;
+            if (property !== undefined) {
+                path.push(property);
+            }
+            return fieldError(path.join('.'), getSchemaErrorMessage(error));
+        });
+}
+
+function getSchemaErrorMessage(error) {
+    const params = error.params;
+    switch (error.keyword) {
+        case 'required':
+            return "обязательное поле";
+        case 'dependencies':
+            return `обязательное поле, если указано ${params.property}`;
+        case 'additionalProperties':
+            return "неизвестное поле";
+        case 'type':
+            return `должно быть ${[].concat(params.type).map(type => SCHEMA_TYPE_NAMES[type] || type).join(' или ')}`;
+        case 'enum':
+            return `допустимые значения: ${params.allowedValues.join(', ')}`;
+        case 'minimum':
+            return `должно быть не меньше ${params.limit}`;
+        case 'maximum':
+            return `должно быть не больше ${params.limit}`;
+        case 'minLength':
+            return "не может быть пустым";
+        case 'pattern':
+            return `не соответствует шаблону ${params.pattern}`;
+        default:
+            return error.message;
+    }
+}
+
+// Тег привязан к источнику по-разному: NodeId, выражение или регистр Modbus
+function validateDeviceTag(device, tag, deviceList = devices) {
+    if (device.type === OPCUA_DEVICE_TYPE) return validateOPCUATag(tag);
+    if (device.type === CALCULATED_DEVICE_TYPE) return validateCalculatedTag(device, tag, deviceList);
+    return validateModbusTag(tag);
+}
+
+// Катушки и дискретные входы хранят один бит, числа в них не помещаются
+function validateModbusTag(tag) {
+    if (isBitRegister(tag.registerType) && tag.dataType !== 'boolean') {
+        return fieldError('dataType', `для регистров ${tag.registerType} подходит только тип boolean`);
+    }
+    return null;
+}
+
+// Регистры тегов одного типа не должны пересекаться: иначе запись в один тег
+// незаметно меняет другой. Теги-биты могут делить регистр друг с другом и с тегом слова
+function getRegisterErrors(device) {
+    const errors = [];
+    device.tags.forEach((tag, i) => {
+        const end = tag.address + getTagWidth(tag) - 1;
+        if (end > 65535) {
+            errors.push(fieldError(`tags.${i}.address`, `тег занимает регистры ${tag.address}-${end}, последний адрес 65535`));
+            return;
+        }
+        const other = device.tags.slice(0, i)
+            .find(t => t.registerType === tag.registerType && isRegisterOverlap(tag, t));
+        if (other) {
+            errors.push(fieldError(`tags.${i}.address`, `регистры пересекаются с тегом ${other.name}`));
+        }
+    });
+    return errors;
+}
+
+function isRegisterOverlap(a, b) {
+    if (a.dataType === 'bit' || b.dataType === 'bit') {
+        return a.dataType === b.dataType && a.address === b.address && (a.bitIndex || 0) === (b.bitIndex || 0);
+    }
+    return a.address < b.address + getTagWidth(b) && b.address < a.address + getTagWidth(a);
+}
+
+function validateDeviceChannel(device) {
+    if (device.channelId && !channels.some(c => c.id === device.channelId)) {
+        return fieldError('channelId', `Канал связи ${device.channelId} не найден`);
+    }
+    return null;
+}
+
+// На одном слушающем порту устройства различаются по пакету регистрации
+function validateListenDevice(device, deviceList = devices) {
+    if (device.channelId || device.type !== LISTEN_CONNECTION_TYPE) {
+        return null;
+    }
+    if (device.port === WEB_PORT || device.port === OPC_UA_PORT) {
+        return fieldError('port', `Порт ${device.port} занят сервером моста`);
+    }
+    const samePort = deviceList.filter(d => d.id !== device.id && !d.channelId &&
+        d.type === LISTEN_CONNECTION_TYPE && d.port === device.port);
+    const conflict = samePort.find(d => (d.registrationId || null) === (device.registrationId || null));
+    if (conflict) {
+        return device.registrationId
+            ? fieldError('registrationId', `ID регистрации ${device.registrationId} уже используется устройством ${conflict.name}`)
+            : fieldError('registrationId', `Порт ${device.port} уже занят устройством ${conflict.name}, укажите ID регистрации`);
+    }
+    return null;
+}
+
+function validateOPCUADevice(device) {
+    if (device.channelId) {
+        return fieldError('channelId', "Устройство OPC UA не использует каналы связи");
+    }
+    const securityMode = device.securityMode || 'None';
+    const securityPolicy = device.securityPolicy || 'None';
+    if ((securityMode === 'None') !== (securityPolicy === 'None')) {
+        return fieldError('securityPolicy', "Режим None и политика None включаются только вместе");
+    }
+    return null;
+}
+
+function validateOPCUATag(tag) {
+    if (!tag.nodeId.trim()) {
+        return fieldError('nodeId', "не указан NodeId");
+    }
+    try {
+        opcua.resolveNodeId(tag.nodeId);
+    } catch (error) {
+        return fieldError('nodeId', `неверный NodeId ${tag.nodeId}`);
+    }
+    if (!OPCUA_TAG_DATA_TYPES.includes(tag.dataType)) {
+        return fieldError('dataType', `тип данных ${tag.dataType} не поддерживается для OPC UA`);
+    }
+    return null;
+}
+
+function validateCalculatedDevice(device, deviceList = devices) {
+    if (device.channelId) {
+        return fieldError('channelId', "Вычисляемое устройство не использует каналы связи");
+    }
+    const cycle = findCalculatedCycle(device, deviceList);
+    return cycle ? fieldError('', cycle) : null;
+}
+
+function validateCalculatedTag(device, tag, deviceList = devices) {
+    if (!CALCULATED_TAG_DATA_TYPES.includes(tag.dataType)) {
+        return fieldError('dataType', `тип данных ${tag.dataType} не поддерживается для вычисляемых тегов`);
+    }
+    if (isTagScaled(tag)) {
+        return fieldError('scaling', "масштабирование задается в самом выражении");
+    }
+    if (!tag.expression.trim()) {
+        return fieldError('expression', "не указано выражение");
+    }
+
+    let expression;
+    try {
+        expression = compileExpression(tag.expression);
+    } catch (error) {
+        return fieldError('expression', `ошибка в выражении: ${error.message}`);
+    }
+    const list = getDeviceListWith(device, deviceList);
+    for (const reference of expression.references) {
+        const input = resolveCalculatedInput(device, reference, list);
+        const name = reference.deviceName === null ? reference.tagName : `${reference.deviceName}/${reference.tagName}`;
+        if (!input) {
+            return fieldError('expression', `тег [${name}] не найден`);
+        }
+        if (input.tag.dataType === 'string') {
+            return fieldError('expression', `строковый тег [${name}] не может быть входом выражения`);
+        }
+    }
+    return null;
+}
+
+// Конфигурация устройств с проверяемым устройством вместо его текущей версии
+function getDeviceListWith(device, deviceList = devices) {
+    return [...deviceList.filter(d => d.id !== device.id), device];
+}
+
+// Вычисляемые устройства ссылаются на теги по имени устройства и тега. Изменение
+// другого устройства не должно оставить такие ссылки без цели, поэтому
+// вычисляемые устройства проверяются заново по списку после изменения
+function getDependentDeviceError(deviceList) {
+    for (const device of deviceList.filter(d => d.type === CALCULATED_DEVICE_TYPE)) {
+        const [error] = getDeviceErrors(getDeviceConfig(device), deviceList);
+        if (error) {
+            return `Вычисляемое устройство ${device.name}: ${formatDeviceError(device, error)}`;
+        }
+    }
+    return null;
+}
+
+// Вычисляемые теги могут ссылаться друг на друга, но не по кругу
+function findCalculatedCycle(device, deviceList = devices) {
+    const list = getDeviceListWith(device, deviceList);
+    const states = new Map();
+
+    const visit = (source, tag, path) => {
+        if (states.get(tag) === 'done') return null;
+        if (states.get(tag) === 'visiting') {
+            return `Циклическая ссылка: ${[...path, `${source.name}/${tag.name}`].join(' -> ')}`;
+        }
+        states.set(tag, 'visiting');
+        let references = [];
+        try {
+            references = compileExpression(tag.expression).references;
+        } catch (error) {}
+        for (const reference of references) {
+            const input = resolveCalculatedInput(source, reference, list);
+            if (input && isCalculatedDevice(input.device)) {
+                const cycle = visit(input.device, input.tag, [...path, `${source.name}/${tag.name}`]);
+                if (cycle) return cycle;
+            }
+        }
+        states.set(tag, 'done');
+        return null;
+    };
+
+    for (const tag of device.tags) {
+        const cycle = visit(device, tag, []);
+        if (cycle) return cycle;
+    }
+    return null;
+}
+
+function validateChannel(channel) {
+    if (!channel.name || !channel.address) {
+        return "Неверные данные канала";
+    }
+    if (!CONNECTION_TYPES.includes(channel.type)) {
+        return `Неизвестный тип канала ${channel.type}`;
+    }
+    return validateSerialSettings(channel);
+}
+
+function validateSerialSettings(config) {
+    if (!SERIAL_CONNECTION_TYPES.includes(config.type)) return null;
+    if (config.parity !== undefined && !SERIAL_PARITIES.includes(config.parity)) {
+        return `Неверная четность ${config.parity}`;
+    }
+    if (config.dataBits !== undefined && !SERIAL_DATA_BITS.includes(config.dataBits)) {
+        return `Неверное число бит данных ${config.dataBits}`;
+    }
+    if (config.stopBits !== undefined && !SERIAL_STOP_BITS.includes(config.stopBits)) {
+        return `Неверное число стоп-бит ${config.stopBits}`;
+    }
+    if (config.interFrameDelay !== undefined && !(config.interFrameDelay >= 0)) {
+        return "Пауза между кадрами не может быть отрицательной";
+    }
+    return null;
+}
+
+// Типы значений, диапазоны и перечисления проверяет схема, здесь - связи между полями
+function validateTag(tag) {
+    if (tag.scaling === 'range') {
+        const limits = ['rawMin', 'rawMax', 'euMin', 'euMax'];
+        const missing = limits.find(key => typeof tag[key] !== 'number');
+        if (missing) {
+            return fieldError(missing, "для масштабирования по диапазону нужны rawMin, rawMax, euMin и euMax");
+        }
+        if (tag.rawMin === tag.rawMax) {
+            return fieldError('rawMax', "границы диапазона масштабирования не должны совпадать");
+        }
+        if (tag.euMin === tag.euMax) {
+            return fieldError('euMax', "границы диапазона масштабирования не должны совпадать");
+        }
+    }
+    if (tag.scaling === 'linear' && tag.multiplier === 0) {
+        return fieldError('multiplier', "множитель не может быть равен нулю");
+    }
+    if (tag.alarm) {
+        return validateTagAlarm(tag);
+    }
+    return null;
+}
+
+function validateTagAlarm(tag) {
+    const alarm = tag.alarm;
+    if (isBooleanTag(tag)) {
+        if (typeof alarm.activeValue !== 'boolean') {
+            return fieldError('alarm.activeValue', "для дискретной тревоги нужно указать activeValue: true или false");
+        }
+        return null;
+    }
+    if (!isNumericDataType(getValueDataType(tag))) {
+        return fieldError('alarm', "тревоги поддерживаются только для числовых и дискретных тегов");
+    }
+
+    const levels = Object.values(LIMIT_ALARM_LEVELS)
+        .filter(level => alarm[level.limit] !== undefined && alarm[level.limit] !== null);
+    if (levels.length === 0) {
+        return fieldError('alarm', "для тревоги нужен хотя бы один предел");
+    }
+    const unordered = levels.find((level, i) => i > 0 && alarm[level.limit] >= alarm[levels[i - 1].limit]);
+    if (unordered) {
+        return fieldError(`alarm.${unordered.limit}`, "пределы тревоги должны убывать: HiHi > Hi > Lo > LoLo");
+    }
+    return null;
+}
+
+function getOPCUADataType(dataType) {
+    const map = {
+        'float': 'Float',
+        'double': 'Double',
+        'int32': 'Int32',
+        'uint32': 'UInt32',
+        'int64': 'Int64',
+        'uint64': 'UInt64',
+        'int16': 'Int16',
+        'uint16': 'UInt16',
+        'string': 'String',
+        'bcd16': 'UInt16',
+        'bcd32': 'UInt32',
+        'bit': 'Boolean',
+        'boolean': 'Boolean'
+    };
+    return map[dataType] || 'UInt16';
+}
+
+function getOPCUADataTypeCode(dataType) {
+    const map = {
+        'float': opcua.DataType.Float,
+        'double': opcua.DataType.Double,
+        'int32': opcua.DataType.Int32,
+        'uint32': opcua.DataType.UInt32,
+        'int64': opcua.DataType.Int64,
+        'uint64': opcua.DataType.UInt64,
+        'int16': opcua.DataType.Int16,
+        'uint16': opcua.DataType.UInt16,
+        'string': opcua.DataType.String,
+        'bcd16': opcua.DataType.UInt16,
+        'bcd32': opcua.DataType.UInt32,
+        'bit': opcua.DataType.Boolean,
+        'boolean': opcua.DataType.Boolean
+    };
+    return map[dataType] || opcua.DataType.UInt16;
+}
+
+function startModbusSlave() {
+    if (!modbusSlave.enabled) return;
+
+    const vector = {
+        getHoldingRegister: (address) => readSlaveRegisters('holding', address, 1)[0],
+        getMultipleHoldingRegisters: (address, length) => readSlaveRegisters('holding', address, length),
+        getInputRegister: (address) => readSlaveRegisters('input', address, 1)[0],
+        getMultipleInputRegisters: (address, length) => readSlaveRegisters('input', address, length),
+        getCoil: (address) => readSlaveBit('coil', address),
+        getDiscreteInput: (address) => readSlaveBit('discrete', address),
+        setRegister: (address, value) => writeSlaveRegisters(address, [value]),
+        setRegisterArray: (address, values) => writeSlaveRegisters(address, values),
+        setCoil: (address, value) => writeSlaveCoil(address, value)
+    };
+
+    const slave = new ModbusRTU.ServerTCP(vector, {
+        host: '0.0.0.0',
+        port: modbusSlave.port,
+        unitID: modbusSlave.unitId
+    });
+    slave.on('initialized', () => {
+        console.log(`Modbus slave запущен на порту ${modbusSlave.port}`);
+    });
+    slave.on('serverError', (error) => {
+        console.error(`Ошибка Modbus slave на порту ${modbusSlave.port}:`, error.message);
+    });
+    slave.on('socketError', (error) => {
+        console.error("Ошибка соединения Modbus slave:", error.message);
+    });
+    modbusSlaveServer = slave;
+}
+
+async function stopModbusSlave() {
+    if (!modbusSlaveServer) return;
+
+    const slave = modbusSlaveServer;
+    modbusSlaveServer = null;
+    await new Promise(resolve => slave.close(() => resolve()));
+    console.log("Modbus slave остановлен");
+}
+
+function getModbusSlaveSnapshot() {
+    return {
+        ...modbusSlave,
+        running: Boolean(modbusSlaveServer),
+        map: modbusSlave.map.map(entry => {
+            const source = resolveSlaveEntry(entry);
+            return {
+                ...entry,
+                deviceName: source ? source.device.name : null,
+                registerCount: source ? getSlaveRegisterCount(entry, source) : null
+            };
+        })
+    };
+}
+
+function getSlaveEntryConfig(entry) {
+    const config = {
+        deviceId: entry.deviceId,
+        tagName: entry.tagName,
+        registerType: entry.registerType,
+        address: entry.address
+    };
+    if (entry.dataType) config.dataType = entry.dataType;
+    if (entry.byteOrder) config.byteOrder = entry.byteOrder;
+    return config;
+}
+
+function resolveSlaveEntry(entry) {
+    const device = devices.find(d => d.id === entry.deviceId);
+    const tag = device?.tags.find(t => t.name === entry.tagName);
+    return tag ? { device, tag, format: getSlaveFormat(entry, tag) } : null;
+}
+
+// Формат регистров фасада: по умолчанию как у исходного тега (сырое значение
+// до масштабирования), либо тип данных из карты для инженерного значения
+function getSlaveFormat(entry, tag) {
+    if (entry.dataType) {
+        return { dataType: entry.dataType, byteOrder: entry.byteOrder || 'ABCD' };
+    }
+    if (tag.dataType === 'bit') {
+        return { dataType: 'boolean' };
+    }
+    return { ...tag, byteOrder: entry.byteOrder || tag.byteOrder };
+}
+
+function getSlaveRegisterCount(entry, source) {
+    return isBitRegister(entry.registerType) ? 1 : getRegisterCount(source.format);
+}
+
+function encodeSlaveValue(entry, source) {
+    const { tag, format } = source;
+    const value = tag.currentValue ?? getDefaultValue(getValueDataType(tag));
+    return convertToModbusRegisters(entry.dataType ? value : unscaleValue(tag, value), format);
+}
+
+function decodeSlaveValue(entry, source, registers) {
+    const value = convertModbusData(registers, source.format);
+    return entry.dataType ? value : scaleValue(source.tag, value);
+}
+
+function createModbusException(code, message) {
+    const error = new Error(message);
+    error.modbusErrorCode = code;
+    return error;
+}
+
+function getSlaveEntries(registerType, address, length) {
+    return modbusSlave.map
+        .filter(entry => entry.registerType === registerType)
+        .map(entry => ({ entry, source: resolveSlaveEntry(entry) }))
+        .filter(({ entry, source }) => source &&
+            entry.address < address + length && entry.address + getSlaveRegisterCount(entry, source) > address);
+}
+
+// Чтение идет из последних опрошенных значений, качество тегов Modbus не передает.
+// Свободные адреса внутри запроса читаются нулями, запрос целиком вне карты - исключение
+function readSlaveRegisters(registerType, address, length) {
+    const entries = getSlaveEntries(registerType, address, length);
+    if (entries.length === 0) {
+        throw createModbusException(MODBUS_ILLEGAL_DATA_ADDRESS, `Адрес ${address} не найден в карте регистров`);
+    }
+
+    const values = new Array(length).fill(0);
+    entries.forEach(({ entry, source }) => {
+        let registers;
+        try {
+            registers = encodeSlaveValue(entry, source);
+        } catch (error) {
+            throw createModbusException(MODBUS_SLAVE_DEVICE_FAILURE, error.message);
+        }
+        registers.forEach((register, i) => {
+            const index = entry.address + i - address;
+            if (index >= 0 && index < length) {
+                values[index] = register;
+            }
+        });
+    });
+    return values;
+}
+
+// Катушки и дискретные входы запрашиваются по одной, свободные адреса читаются как false
+function readSlaveBit(registerType, address) {
+    const [found] = getSlaveEntries(registerType, address, 1);
+    return found ? Boolean(found.source.tag.currentValue) : false;
+}
+
+// Запись в часть регистров многорегистрового тега дополняется его текущим значением
+async function writeSlaveRegisters(address, values) {
+    const entries = getSlaveEntries('holding', address, values.length);
+    const covered = new Set();
+    entries.forEach(({ entry, source }) => {
+        for (let i = 0; i < getSlaveRegisterCount(entry, source); i++) covered.add(entry.address + i);
+    });
+    if (values.some((value, i) => !covered.has(address + i)) ||
+        entries.some(({ source }) => !isTagWritable(source.tag))) {
+        throw createModbusException(MODBUS_ILLEGAL_DATA_ADDRESS, `Адрес ${address} недоступен для записи`);
+    }
+
+    for (const { entry, source } of entries) {
+        let value;
+        try {
+            const registers = encodeSlaveValue(entry, source);
+            values.forEach((register, i) => {
+                const index = address + i - entry.address;
+                if (index >= 0 && index < registers.length) {
+                    registers[index] = register;
+                }
+            });
+            value = decodeSlaveValue(entry, source, registers);
+        } catch (error) {
+            throw createModbusException(MODBUS_ILLEGAL_DATA_VALUE, error.message);
+        }
+        await writeSlaveTag(source, value);
+    }
+}
+
+async function writeSlaveCoil(address, value) {
+    const [found] = getSlaveEntries('coil', address, 1);
+    if (!found || !isTagWritable(found.source.tag)) {
+        throw createModbusException(MODBUS_ILLEGAL_DATA_ADDRESS, `Адрес ${address} недоступен для записи`);
+    }
+    await writeSlaveTag(found.source, Boolean(value));
+}
+
+async function writeSlaveTag({ device, tag }, value) {
+    console.log(`Modbus slave запись: ${device.name}.${tag.name} = ${value}`);
+    const success = await writeTagValue(device, tag, value);
+    if (!success) {
+        throw createModbusException(MODBUS_SLAVE_DEVICE_FAILURE, `Ошибка записи тега ${tag.name}`);
+    }
+}
+
+function validateModbusSlave(config) {
+    if (!Number.isInteger(config.port) || config.port < 1 || config.port > 65535) {
+        return "Неверный порт Modbus slave";
+    }
+    const usedPorts = [WEB_PORT, OPC_UA_PORT, ...devices.filter(d => d.type === LISTEN_CONNECTION_TYPE).map(d => d.port)];
+    if (config.enabled && usedPorts.includes(config.port)) {
+        return `Порт ${config.port} уже занят`;
+    }
+    if (!Number.isInteger(config.unitId) || config.unitId < 1 || config.unitId > 255) {
+        return "Адрес Modbus slave должен быть от 1 до 255 (255 - любой)";
+    }
+    if (!Array.isArray(config.map)) {
+        return "Карта регистров должна быть списком";
+    }
+    for (let i = 0; i < config.map.length; i++) {
+        const error = validateSlaveEntry(config.map[i]);
+        if (error) {
+            return `Запись ${i + 1}: ${error}`;
+        }
+    }
+    return null;
+}
+
+function validateSlaveEntry(entry) {
+    if (!SLAVE_REGISTER_TYPES.includes(entry.registerType)) {
+        return `неверный тип регистров ${entry.registerType}`;
+    }
+    if (!Number.isInteger(entry.address) || entry.address < 0 || entry.address > 65535) {
+        return "адрес должен быть целым числом от 0 до 65535";
+    }
+    const device = devices.find(d => d.id === entry.deviceId);
+    if (!device) {
+        return `устройство ${entry.deviceId} не найдено`;
+    }
+    const tag = device.tags.find(t => t.name === entry.tagName);
+    if (!tag) {
+        return `тег ${entry.tagName} не найден в устройстве ${device.name}`;
+    }
+    if (isBitRegister(entry.registerType) && !isBooleanTag(tag)) {
+        return "катушки и дискретные входы доступны только для дискретных тегов";
+    }
+    if (entry.dataType && (isBitRegister(entry.registerType) || !isNumericDataType(tag.dataType) || !isNumericDataType(entry.dataType))) {
+        return "тип данных в карте задается только для числовых тегов и числовым типом";
+    }
+    if (entry.byteOrder && !BYTE_ORDERS.includes(entry.byteOrder)) {
+        return `неверный порядок байт ${entry.byteOrder}`;
+    }
+    const source = resolveSlaveEntry(entry);
+    if (entry.address + getSlaveRegisterCount(entry, source) - 1 > 65535) {
+        return "регистры тега выходят за адрес 65535";
+    }
+    return null;
+}
+
+// Диапазоны сортируются по началу: любое пересечение найдется между соседями
+function findSlaveOverlap(map) {
+    const ranges = map
+        .map(entry => ({ entry, source: resolveSlaveEntry(entry) }))
+        .filter(({ source }) => source)
+        .map(({ entry, source }) => ({
+            entry,
+            start: entry.address,
+            end: entry.address + getSlaveRegisterCount(entry, source) - 1
+        }))
+        .sort((a, b) => a.entry.registerType.localeCompare(b.entry.registerType) || a.start - b.start);
+
+    const describe = range => `${range.entry.deviceId}.${range.entry.tagName} (${range.start}-${range.end})`;
+    for (let i = 1; i < ranges.length; i++) {
+        const previous = ranges[i - 1];
+        const current = ranges[i];
+        if (previous.entry.registerType === current.entry.registerType && current.start <= previous.end) {
+            return `Регистры ${current.entry.registerType} пересекаются: ${describe(previous)} и ${describe(current)}`;
+        }
+    }
+    return null;
+}
+
+function startMqtt() {
+    if (!mqttConfig.enabled) return;
+
+    mqttLastError = null;
+    const config = mqttConfig;
+    const statusOptions = { qos: config.qos, retain: true };
+    let client;
+    try {
+        client = mqtt.connect(config.brokerUrl, {
+            clientId: config.clientId || `modbus-opcua-bridge-${crypto.randomBytes(4).toString('hex')}`,
+            username: config.username || undefined,
+            password: config.password || undefined,
+            connectTimeout: DEFAULT_CONNECT_TIMEOUT,
+            reconnectPeriod: MQTT_RECONNECT_PERIOD,
+            ...getMqttTlsOptions(config),
+            // Брокер сам опубликует offline, если мост пропадет без отключения.
+            // Время обрыва заранее неизвестно, поэтому метки времени в нем нет
+            will: config.statusTopic
+                ? { topic: config.statusTopic, payload: createMqttStatusPayload(false, null), ...statusOptions }
+                : undefined
+        });
+    } catch (error) {
+        mqttLastError = error.message;
+        console.error("Ошибка запуска MQTT клиента:", error.message);
+        return;
+    }
+
+    client.on('connect', () => {
+        mqttLastError = null;
+        console.log(`Подключено к MQTT брокеру ${config.brokerUrl}`);
+        if (config.statusTopic) {
+            client.publish(config.statusTopic, createMqttStatusPayload(true), statusOptions);
+        }
+        if (config.commandTopic) {
+            client.subscribe(getMqttCommandFilter(config.commandTopic), { qos: config.qos }, (error) => {
+                if (error) console.error("Ошибка подписки на команды MQTT:", error.message);
+            });
+        }
+
+        // Пока связи не было, изменения не публиковались: отправляем все теги заново
+        mqttTagStates.clear();
+        devices.forEach(device => device.tags.forEach(tag => publishMqttTagValue(device, tag)));
+    });
+    client.on('message', (topic, payload) => {
+        handleMqttCommand(topic, payload).catch(error => {
+            console.error(`Ошибка обработки команды MQTT ${topic}:`, error.message);
+        });
+    });
+    client.on('offline', () => {
+        console.warn(`Нет связи с MQTT брокером ${config.brokerUrl}`);
+    });
+    client.on('error', (error) => {
+        mqttLastError = error.message;
+        console.error("Ошибка MQTT:", error.message);
+    });
+    mqttClient = client;
+}
+
+// При штатной остановке offline публикует сам мост: последняя воля
+// отправляется брокером только при обрыве связи
+async function stopMqtt() {
+    if (!mqttClient) return;
+
+    const client = mqttClient;
+    mqttClient = null;
+    try {
+        if (client.connected && mqttConfig.statusTopic) {
+            await withTimeout(
+                client.publishAsync(mqttConfig.statusTopic, createMqttStatusPayload(false), { qos: mqttConfig.qos, retain: true }),
+                CLOSE_TIMEOUT, "Таймаут публикации состояния"
+            );
+        }
+        await withTimeout(client.endAsync(), CLOSE_TIMEOUT, "Таймаут закрытия соединения");
+    } catch (error) {
+        client.end(true);
+    }
+    console.log("MQTT клиент остановлен");
+}
 
-        // Инициализация OPC UA сервера
-        await server.initialize();
-        console.log("OPC UA сервер инициализирован");
+// TLS включается схемой mqtts:// или wss://, файлы нужны для своего CA
+// и для брокеров, которые проверяют сертификат клиента
+function getMqttTlsOptions(config) {
+    const options = { rejectUnauthorized: config.rejectUnauthorized };
+    if (config.caFile) options.ca = fs.readFileSync(config.caFile);
+    if (config.certFile) options.cert = fs.readFileSync(config.certFile);
+    if (config.keyFile) options.key = fs.readFileSync(config.keyFile);
+    return options;
+}
 
-        // Создаем адресное пространство
-        const addressSpace = server.engine.addressSpace;
-        const namespace = addressSpace.getOwnNamespace();
+function createMqttStatusPayload(online, timestamp = new Date()) {
+    return JSON.stringify({ status: online ? 'online' : 'offline', timestamp });
+}
 
-        // Создаем корневую папку для устройств
-        const devicesFolder = namespace.addFolder(addressSpace.rootFolder.objects, {
-            browseName: "ModbusDevices"
-        });
+// Публикуются только изменившиеся значение или качество, как и в потоке событий
+function publishMqttTagValue(device, tag) {
+    if (!mqttClient?.connected) return;
 
-        // Инициализируем все устройства из конфигурации
-        devices.forEach(device => {
-            initializeOPCUADevice(device, namespace, devicesFolder);
-            initializeModbusClient(device);
-        });
+    const state = updateSentTagState(mqttTagStates, device, tag);
+    if (!state) return;
 
-        console.log("Устройства инициализированы");
+    mqttClient.publish(getMqttTopic(mqttConfig.valueTopic, device, tag), JSON.stringify({
+        value: state.value,
+        quality: state.status,
+        timestamp: tag.sourceTimestamp || null
+    }), { qos: mqttConfig.qos, retain: mqttConfig.retain });
+}
 
-        // Запускаем сервер
-        await server.start();
-        console.log(`OPC UA сервер запущен на порту ${OPC_UA_PORT}`);
-        console.log(`Endpoint URL: ${server.endpoints[0].endpointDescriptions()[0].endpointUrl}`);
+// Символы / + # в именах заменяются, чтобы имя не меняло уровни топика
+function getMqttTopic(template, device, tag) {
+    return template
+        .replace(/\{device\}/g, getMqttTopicLevel(device.name))
+        .replace(/\{tag\}/g, getMqttTopicLevel(tag.name));
+}
 
-        // Запускаем опрос всех устройств
-        startAllDevicesPolling();
+function getMqttTopicLevel(name) {
+    return String(name).replace(/[/+#]/g, '_');
+}
 
+function getMqttCommandFilter(template) {
+    return template.replace(/\{device\}|\{tag\}/g, '+');
+}
+
+// Команда записи: JSON {"value": ...} или само значение
+async function handleMqttCommand(topic, payload) {
+    let target = null;
+    devices.some(device => device.tags.some(tag => {
+        if (getMqttTopic(mqttConfig.commandTopic, device, tag) !== topic) return false;
+        target = { device, tag };
+        return true;
+    }));
+    if (!target || !isTagWritable(target.tag)) {
+        console.warn(`MQTT команда для неизвестного или недоступного для записи тега: ${topic}`);
+        return;
+    }
+
+    const { device, tag } = target;
+    let value = payload.toString();
+    try {
+        const parsed = JSON.parse(value);
+        value = parsed !== null && typeof parsed === 'object' ? parsed.value : parsed;
     } catch (error) {
-        console.error("Ошибка:", error);
+        // Не JSON - значение передано строкой
+    }
+    if (value === undefined || value === null || value === '') {
+        console.warn(`MQTT команда без значения: ${topic}`);
+        return;
     }
-    // startModbusServers();
-}
 
-function initializeDevice(device) {
-    const addressSpace = server.engine.addressSpace;
-    const namespace = addressSpace.getOwnNamespace();
-    const devicesFolder = namespace.addFolder(addressSpace.rootFolder.objects, {
-        browseName: "ModbusDevices"
-    });
+    let parsedValue;
+    try {
+        parsedValue = parseWriteValue(tag, value);
+    } catch (error) {
+        console.warn(`MQTT команда ${topic}: ${error.message}`);
+        return;
+    }
 
-    initializeOPCUADevice(device, namespace, devicesFolder);
-    initializeModbusClient(device);
-    startDevicePolling(device);
+    console.log(`MQTT запись: ${device.name}.${tag.name} = ${parsedValue}`);
+    const success = await writeTagValue(device, tag, parsedValue);
+    if (!success) {
+        console.error(`Ошибка записи тега ${tag.name} по команде MQTT`);
+    }
 }
 
-function initializeOPCUADevice(device, namespace, parentFolder) {
-    // Создаем объект устройства
-    const deviceObject = namespace.addObject({
-        organizedBy: parentFolder,
-        browseName: device.name
+function getMqttConfig(source) {
+    const config = {};
+    Object.keys(DEFAULT_MQTT).forEach(key => {
+        config[key] = source[key] ?? DEFAULT_MQTT[key];
     });
+    return config;
+}
 
-    // Создаем переменные для каждого тега
-    device.tags.forEach(tag => {
-        const isWritable = isTagWritable(tag.registerType);
-        
-        const variable = namespace.addVariable({
-            componentOf: deviceObject,
-            browseName: tag.name,
-            nodeId: `s=${device.id}_${tag.name}`,
-            dataType: getOPCUADataType(tag.dataType),
-            value: {
-                get: () => new opcua.Variant({
-                    dataType: getOPCUADataTypeCode(tag.dataType),
-                    value: tag.currentValue || 0
-                }),
-                set: isWritable ? (variant) => {
-                    const newValue = variant.value;
-                    console.log(`OPC UA запись: ${tag.name} = ${newValue}`);
-                    writeTagValue(device, tag, newValue).then(success => {
-                        if (success) {
-                            console.log(`Значение ${tag.name} успешно записано`);
-                        }
-                    });
-                    return opcua.StatusCodes.Good;
-                } : undefined
-            },
-            minimumSamplingInterval: device.pollInterval || 1000,
-            accessLevel: isWritable ? 
-                opcua.makeAccessLevelFlag("CurrentRead | CurrentWrite") : 
-                opcua.makeAccessLevelFlag("CurrentRead")
-        });
+function getMqttSnapshot() {
+    const { password, ...config } = mqttConfig;
+    return {
+        ...config,
+        hasPassword: Boolean(password),
+        connected: Boolean(mqttClient?.connected),
+        lastError: mqttLastError
+    };
+}
 
-        // Сохраняем ссылку на переменную
-        if (!opcuaVariables.has(device.id)) {
-            opcuaVariables.set(device.id, new Map());
+function validateMqtt(config) {
+    let url;
+    try {
+        url = new URL(config.brokerUrl);
+    } catch (error) {
+        return "Неверный адрес MQTT брокера";
+    }
+    if (!MQTT_URL_PROTOCOLS.includes(url.protocol)) {
+        return "Адрес брокера должен начинаться с mqtt://, mqtts://, ws:// или wss://";
+    }
+    if (!MQTT_QOS_LEVELS.includes(config.qos)) {
+        return "QoS должен быть 0, 1 или 2";
+    }
+    for (const key of ['clientId', 'username', 'password', 'valueTopic', 'commandTopic', 'statusTopic', 'caFile', 'certFile', 'keyFile']) {
+        if (typeof config[key] !== 'string') {
+            return `Поле ${key} должно быть строкой`;
         }
-        opcuaVariables.get(device.id).set(tag.name, variable);
-    });
+    }
+    const valueError = validateMqttTopicTemplate(config.valueTopic);
+    if (valueError) {
+        return `Топик значений: ${valueError}`;
+    }
+    if (config.commandTopic) {
+        const commandError = validateMqttTopicTemplate(config.commandTopic);
+        if (commandError) {
+            return `Топик команд: ${commandError}`;
+        }
+        // Подстановки заменяются на + в подписке, а + занимает уровень целиком
+        if (config.commandTopic.split('/').some(level => /\{(device|tag)\}/.test(level) && level !== '{device}' && level !== '{tag}')) {
+            return "Топик команд: {device} и {tag} должны занимать уровень топика целиком";
+        }
+        if (config.commandTopic === config.valueTopic) {
+            return "Топик команд должен отличаться от топика значений";
+        }
+    }
+    if (/[+#]/.test(config.statusTopic)) {
+        return "Топик состояния не может содержать + и #";
+    }
+    if (Boolean(config.certFile) !== Boolean(config.keyFile)) {
+        return "Сертификат и ключ клиента задаются вместе";
+    }
+    for (const key of ['caFile', 'certFile', 'keyFile']) {
+        if (config[key] && !fs.existsSync(config[key])) {
+            return `Файл ${config[key]} не найден`;
+        }
+    }
+    return null;
 }
 
-function initializeModbusClient(device) {
-    const client = new ModbusRTU();
-    
-    client.on("error", (error) => {
-        console.error(`Modbus ошибка устройства ${device.name}:`, error.message);
-        device.connected = false;
-    });
+function validateMqttTopicTemplate(template) {
+    if (!template) {
+        return "не задан";
+    }
+    if (/[+#]/.test(template)) {
+        return "шаблон не может содержать + и #";
+    }
+    if (!template.includes('{device}') || !template.includes('{tag}')) {
+        return "шаблон должен содержать {device} и {tag}";
+    }
+    return null;
+}
 
-    client.on("close", () => {
-        console.log(`Modbus соединение устройства ${device.name} закрыто`);
-        device.connected = false;
+function startAllDevicesPolling() {
+    devices.forEach(device => {
+        startDevicePolling(device);
     });
-
-    modbusClients.set(device.id, client);
 }
 
-async function connectToDevice(device) {
-    const client = modbusClients.get(device.id);
-    if (!client) return false;
+function startDevicePolling(device) {
+    stopDevicePolling(device.id);
+    // Вычисляемые теги не опрашиваются, а пересчитываются при изменении входов
+    if (isCalculatedDevice(device)) {
+        setDeviceConnected(device, true);
+        device.tags.forEach(tag => updateCalculatedTag(device, tag));
+        return;
+    }
+    const poll = isOPCUADevice(device) ? pollOPCUADevice : readDeviceData;
+    pollTimers.set(device.id, setInterval(() => {
+        // Пропускаем такт, если предыдущий опрос еще не завершился
+        if (activePolls.has(device.id)) return;
 
-    if (device.connected) return true;
+        activePolls.add(device.id);
+        poll(device).finally(() => activePolls.delete(device.id));
+    }, device.pollInterval || 2000));
+}
 
-    try {
-        if (device.type === 'tcp') {
-            await client.connectTCP(device.address, { port: device.port || 502 });
-        } else if (device.type === 'rtu') {
-            await client.connectRTUBuffered(device.address, {
-                baudRate: device.baudRate || 9600,
-                dataBits: 8,
-                stopBits: 1,
-                parity: 'none'
-            });
-        }
-        
-        client.setID(device.deviceId || 1);
-        device.connected = true;
-        console.log(`Подключено к устройству ${device.name}`);
-        return true;
-    } catch (error) {
-        console.error(`Ошибка подключения к устройству ${device.name}:`, error.message);
-        device.connected = false;
-        return false;
+function stopDevicePolling(deviceId) {
+    const timer = pollTimers.get(deviceId);
+    if (timer) {
+        clearInterval(timer);
+        pollTimers.delete(deviceId);
     }
 }
 
-async function readDeviceData(device) {
-    const client = modbusClients.get(device.id);
-    if (!client) return;
+// Удаляет объект устройства вместе со всеми переменными
+function removeDeviceNodes(deviceId) {
+    const deviceObject = opcuaDeviceObjects.get(deviceId);
+    if (deviceObject) {
+        deviceObject.namespace.deleteNode(deviceObject);
+        opcuaDeviceObjects.delete(deviceId);
+    }
+    opcuaVariables.delete(deviceId);
+    for (const key of opcuaAlarms.keys()) {
+        if (key.startsWith(`${deviceId}/`)) opcuaAlarms.delete(key);
+    }
+}
 
-    if (!device.connected) {
-        const connected = await connectToDevice(device);
-        if (!connected) return;
+function removeTagVariable(deviceId, tagName) {
+    const variables = opcuaVariables.get(deviceId);
+    const variable = variables?.get(tagName);
+    if (variable) {
+        variable.namespace.deleteNode(variable);
+        variables.delete(tagName);
     }
+    const condition = opcuaAlarms.get(getAlarmKey(deviceId, tagName));
+    if (condition) {
+        condition.namespace.deleteNode(condition);
+        opcuaAlarms.delete(getAlarmKey(deviceId, tagName));
+    }
+}
 
-    for (const tag of device.tags) {
-        try {
-            let data;
-            if (tag.registerType === 'holding') {
-                data = await client.readHoldingRegisters(tag.address, getRegisterCount(tag.dataType));
-            } else if (tag.registerType === 'input') {
-                data = await client.readInputRegisters(tag.address, getRegisterCount(tag.dataType));
-            } else if (tag.registerType === 'coil') {
-                data = await client.readCoils(tag.address, 1);
-            } else if (tag.registerType === 'discrete') {
-                data = await client.readDiscreteInputs(tag.address, 1);
-            }
+// Поля, изменение которых требует переподключения к устройству
+const CONNECTION_FIELDS = ['channelId', 'type', 'address', 'port', 'baudRate', 'dataBits', 'stopBits', 'parity', 'registrationId', 'deviceId',
+    'endpointUrl', 'securityMode', 'securityPolicy', 'username', 'password'];
 
-            if (data && data.data) {
-                const value = convertModbusData(data.data, tag.dataType);
-                tag.currentValue = value;
-                
-                // Обновляем OPC UA переменную
-                const variable = opcuaVariables.get(device.id)?.get(tag.name);
-                if (variable) {
-                    variable.setValueFromSource(new opcua.Variant({
-                        dataType: getOPCUADataTypeCode(tag.dataType),
-                        value: value
-                    }));
-                }
+// Конфигурация без состояния времени выполнения
+function getTagConfig(tag) {
+    const { currentValue, status, sourceTimestamp, serverTimestamp, ...config } = tag;
+    return config;
+}
 
-                console.log(`Устройство ${device.name}, тег ${tag.name}: ${value}`);
-            }
-        } catch (error) {
-            console.error(`Ошибка чтения тега ${tag.name} устройства ${device.name}:`, error.message);
-            device.connected = false;
-            try {
-                await client.close();
-            } catch (closeError) {}
-        }
-    }
+function getDeviceConfig(device) {
+    const { connected, tags, ...config } = device;
+    return { ...config, tags: tags.map(getTagConfig) };
 }
 
-// Новая функция для записи значений
-async function writeTagValue(device, tag, value) {
-    const client = modbusClients.get(device.id);
-    if (!client) return false;
+// Пароль OPC UA клиента в ответах API не возвращается, только признак его наличия
+function getDeviceSnapshot(device) {
+    const { password, ...snapshot } = device;
+    return { ...snapshot, hasPassword: Boolean(password) };
+}
 
-    if (!device.connected) {
-        const connected = await connectToDevice(device);
-        if (!connected) return false;
+// Список ключей для JSON.stringify действует и на вложенные объекты
+// (настройки тревоги), поэтому собираем ключи всех уровней
+function isSameConfig(a, b) {
+    const keys = new Set();
+    JSON.stringify([a, b], (key, value) => {
+        keys.add(key);
+        return value;
+    });
+    const sorted = Array.from(keys).sort();
+    return JSON.stringify(a, sorted) === JSON.stringify(b, sorted);
+}
+
+function formatTagsCSV(device) {
+    const tags = device.tags.map(tag => flattenTagConfig(getTagConfig(tag)));
+    const required = ['name', 'dataType', ...getTagKeyColumns(device)];
+    const columns = Object.keys(TAG_CSV_COLUMNS)
+        .filter(column => required.includes(column) || tags.some(tag => tag[column] !== undefined));
+
+    const lines = [columns, ...tags.map(tag => columns.map(column => tag[column] ?? ''))];
+    return lines.map(cells => cells.map(formatCSVField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Колонки, которыми тег привязан к источнику значения
+function getTagKeyColumns(device) {
+    if (device.type === OPCUA_DEVICE_TYPE) return ['nodeId'];
+    if (device.type === CALCULATED_DEVICE_TYPE) return ['expression'];
+    return ['registerType', 'address'];
+}
+
+function flattenTagConfig(tag) {
+    const { alarm, ...fields } = tag;
+    Object.entries(alarm || {}).forEach(([key, value]) => {
+        fields[`alarm.${key}`] = value;
+    });
+    return fields;
+}
+
+function formatCSVField(value) {
+    const text = String(value);
+    return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Строки с ошибками не прерывают разбор: в ответе видны все проблемы файла сразу
+function importTagsCSV(device, text, mode) {
+    const [header, ...records] = parseCSV(text);
+    if (!header) {
+        return { error: "Файл CSV пуст" };
+    }
+    const columns = header.cells.map(cell => cell.trim());
+    const unknown = columns.filter(column => !TAG_CSV_COLUMNS[column]);
+    if (unknown.length > 0) {
+        return { error: `Неизвестные колонки: ${unknown.join(', ')}` };
+    }
+    if (!columns.includes('name')) {
+        return { error: "Нет колонки name" };
     }
 
-    try {
-        // Конвертируем значение в формат Modbus
-        const modbusValue = convertToModbusFormat(value, tag.dataType);
-        
-        if (tag.registerType === 'holding') {
-            if (tag.dataType === 'float' || tag.dataType === 'int32' || tag.dataType === 'uint32') {
-                // Для 32-битных значений пишем 2 регистра
-                const buffer = Buffer.alloc(4);
-                if (tag.dataType === 'float') {
-                    buffer.writeFloatBE(value, 0);
-                } else {
-                    buffer.writeUInt32BE(value, 0);
-                }
-                await client.writeRegisters(tag.address, [
-                    buffer.readUInt16BE(0),
-                    buffer.readUInt16BE(2)
-                ]);
-            } else {
-                // Для 16-битных значений пишем один регистр
-                await client.writeRegister(tag.address, modbusValue);
+    const existing = new Map(device.tags.map(tag => [tag.name, tag]));
+    const lines = new Map();
+    const rows = records.map(record => {
+        const row = { line: record.line };
+        try {
+            const name = (record.cells[columns.indexOf('name')] || '').trim();
+            if (!name) {
+                throw new Error("не указано имя тега");
             }
-        } else if (tag.registerType === 'coil') {
-            await client.writeCoil(tag.address, Boolean(value));
+            row.name = name;
+            if (lines.has(name)) {
+                throw new Error(`тег ${name} уже указан в строке ${lines.get(name)}`);
+            }
+            lines.set(name, record.line);
+
+            // При слиянии колонки, которых нет в файле, остаются как были
+            const base = mode === 'merge' && existing.has(name) ? getTagConfig(existing.get(name)) : {};
+            row.tag = applyTagCSVRecord(base, columns, record.cells);
+            row.action = !existing.has(name) ? 'add'
+                : isSameConfig(getTagConfig(existing.get(name)), row.tag) ? 'unchanged' : 'update';
+        } catch (error) {
+            row.error = error.message;
         }
+        return row;
+    });
 
-        // Обновляем текущее значение
-        tag.currentValue = value;
-        console.log(`Записано значение: ${tag.name} = ${value}`);
-        
-        return true;
-    } catch (error) {
-        console.error(`Ошибка записи тега ${tag.name}:`, error.message);
-        device.connected = false;
-        try {
-            await client.close();
-        } catch (closeError) {}
-        return false;
+    const imported = rows.filter(row => row.tag).map(row => row.tag);
+    const tags = mode === 'replace'
+        ? imported
+        : [...device.tags.map(tag => imported.find(t => t.name === tag.name) || getTagConfig(tag)),
+            ...imported.filter(tag => !existing.has(tag.name))];
+    const update = { ...getDeviceConfig(device), tags };
+
+    // Ошибки импортированных тегов показываются в их строках, остальные - ошибкой устройства
+    const errors = getDeviceErrors(update);
+    rows.filter(row => row.tag).forEach(row => {
+        const prefix = `tags.${update.tags.indexOf(row.tag)}`;
+        const error = errors.find(e => e.field === prefix || e.field.startsWith(`${prefix}.`));
+        if (error) {
+            const field = error.field.slice(prefix.length + 1);
+            row.error = field ? `${field}: ${error.message}` : error.message;
+        }
+        delete row.tag;
+    });
+    const removed = mode === 'replace'
+        ? device.tags.filter(tag => !lines.has(tag.name)).map(tag => tag.name)
+        : [];
+    const deviceError = rows.some(row => row.error) ? null
+        : errors.length > 0 ? formatDeviceError(update, errors[0])
+        : getDependentDeviceError(getDeviceListWith(update));
+
+    return { rows, removed, deviceError, update };
+}
+
+// Пустая ячейка удаляет поле тега, пустые настройки тревоги удаляются целиком
+function applyTagCSVRecord(base, columns, cells) {
+    const tag = { ...base, alarm: base.alarm ? { ...base.alarm } : {} };
+    columns.forEach((column, i) => {
+        const text = (cells[i] || '').trim();
+        const [key, alarmKey] = column.split('.');
+        const target = alarmKey ? tag.alarm : tag;
+        const field = alarmKey || key;
+        if (text === '') {
+            delete target[field];
+        } else {
+            target[field] = parseTagCSVValue(column, text);
+        }
+    });
+    if (Object.keys(tag.alarm).length === 0) {
+        delete tag.alarm;
     }
+    return tag;
 }
 
-function convertToModbusFormat(value, dataType) {
-    switch (dataType) {
-        case 'float':
-        case 'int32':
-        case 'uint32':
-            return value; // Обрабатывается отдельно
-        case 'int16':
-            return value < 0 ? value + 65536 : value;
-        case 'uint16':
+// Дробная часть допускается и через запятую, как пишет Excel с русской локалью
+function parseTagCSVValue(column, text) {
+    switch (TAG_CSV_COLUMNS[column]) {
+        case 'number': {
+            const value = Number(text.replace(',', '.'));
+            if (Number.isNaN(value)) {
+                throw new Error(`${column}: "${text}" не является числом`);
+            }
             return value;
+        }
         case 'boolean':
-            return Boolean(value) ? 1 : 0;
+            if (['true', '1'].includes(text.toLowerCase())) return true;
+            if (['false', '0'].includes(text.toLowerCase())) return false;
+            throw new Error(`${column}: ожидается true или false вместо "${text}"`);
         default:
-            return value;
+            return text;
     }
 }
 
-function isTagWritable(registerType) {
-    return registerType === 'holding' || registerType === 'coil';
-}
+// Разбор CSV с кавычками по RFC 4180. Разделитель - запятая или точка с запятой
+// (так сохраняет Excel с русской локалью), выбирается по строке заголовка.
+// Каждая запись помнит номер строки файла, пустые строки пропускаются
+function parseCSV(text) {
+    text = text.replace(/^\uFEFF/, '');
+    const header = text.split(/\r?\n/, 1)[0];
+    const delimiter = header.split(';').length > header.split(',').length ? ';' : ',';
 
-function getRegisterCount(dataType) {
-    switch (dataType) {
-        case 'float': return 2;
-        case 'int32': return 2;
-        case 'uint32': return 2;
-        default: return 1;
+    const records = [];
+    let cells = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+    const endRecord = () => {
+        cells.push(field);
+        if (cells.some(cell => cell.trim() !== '')) {
+            records.push({ line: recordLine, cells });
+        }
+        cells = [];
+        field = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            cells.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || cells.length > 0) {
+        endRecord();
     }
+    return records;
 }
 
-function convertModbusData(data, dataType) {
-    switch (dataType) {
-        case 'float':
-            const buffer = Buffer.alloc(4);
-            buffer.writeUInt16BE(data[0], 0);
-            buffer.writeUInt16BE(data[1], 2);
-            return buffer.readFloatBE(0);
-        case 'int32':
-            return (data[0] << 16) + data[1];
-        case 'uint32':
-            return (data[0] << 16) + data[1];
-        case 'int16':
-            return data[0] > 32767 ? data[0] - 65536 : data[0];
-        case 'uint16':
-            return data[0];
-        case 'boolean':
-            return Boolean(data[0]);
-        default:
-            return data[0];
+// Применяет новую конфигурацию к работающему устройству: пересоздаются только
+// изменившиеся узлы OPC UA, NodeId неизмененных тегов сохраняются
+function applyDeviceUpdate(device, update) {
+    // Подписка устройства OPC UA создается при подключении, поэтому любое изменение
+    // тегов или интервала переподключает его
+    const connectionChanged = isOPCUADevice(device) || CONNECTION_FIELDS.some(key => device[key] !== update[key]);
+    const rebuildObject = device.name !== update.name;
+
+    stopDevicePolling(device.id);
+    if (connectionChanged) {
+        releaseDeviceChannel(device);
+        setDeviceConnected(device, false);
+        resetReconnectBackoff(device.id);
     }
-}
 
-function getOPCUADataType(dataType) {
-    const map = {
-        'float': 'Float',
-        'int32': 'Int32',
-        'uint32': 'UInt32',
-        'int16': 'Int16',
-        'uint16': 'UInt16',
-        'boolean': 'Boolean'
-    };
-    return map[dataType] || 'UInt16';
-}
+    // Неизмененные теги переносим как есть вместе с текущим значением
+    const oldTags = new Map(device.tags.map(tag => [tag.name, tag]));
+    const tags = update.tags.map(tagConfig => {
+        const existing = oldTags.get(tagConfig.name);
+        return existing && isSameConfig(getTagConfig(existing), getTagConfig(tagConfig))
+            ? existing
+            : getTagConfig(tagConfig);
+    });
 
-function getOPCUADataTypeCode(dataType) {
-    const map = {
-        'float': opcua.DataType.Float,
-        'int32': opcua.DataType.Int32,
-        'uint32': opcua.DataType.UInt32,
-        'int16': opcua.DataType.Int16,
-        'uint16': opcua.DataType.UInt16,
-        'boolean': opcua.DataType.Boolean
-    };
-    return map[dataType] || opcua.DataType.UInt16;
-}
+    // Тревоги удаленных и измененных тегов вычисляются заново
+    device.tags
+        .filter(tag => !tags.includes(tag))
+        .forEach(tag => removeTagAlarm(device.id, tag.name));
 
-function startAllDevicesPolling() {
-    devices.forEach(device => {
-        startDevicePolling(device);
+    if (rebuildObject) {
+        removeDeviceNodes(device.id);
+    } else {
+        device.tags
+            .filter(tag => !tags.includes(tag))
+            .forEach(tag => removeTagVariable(device.id, tag.name));
+    }
+
+    // Обновляем объект устройства на месте: на него ссылаются обработчики OPC UA
+    Object.keys(device).forEach(key => {
+        if (key !== 'connected' && !(key in update)) delete device[key];
     });
+    Object.assign(device, update, { id: device.id, tags });
+
+    const namespace = server.engine.addressSpace.getOwnNamespace();
+    if (rebuildObject) {
+        initializeOPCUADevice(device, namespace, devicesFolder);
+    } else {
+        const deviceObject = opcuaDeviceObjects.get(device.id);
+        const variables = opcuaVariables.get(device.id);
+        tags.filter(tag => !variables?.has(tag.name))
+            .forEach(tag => addTagVariable(device, tag, namespace, deviceObject));
+        variables?.forEach(variable => {
+            variable.minimumSamplingInterval = device.pollInterval || 1000;
+        });
+    }
+
+    startDevicePolling(device);
+    if (connectionChanged) {
+        syncListenServers();
+    }
+    updateAllCalculatedTags();
+    console.log(`Устройство ${device.name} обновлено`);
 }
 
-function startDevicePolling(device) {
-    setInterval(() => {
-        readDeviceData(device);
-    }, device.pollInterval || 2000);
+function removeDevice(device) {
+    // Останавливаем опрос, закрываем соединение и удаляем узлы OPC UA
+    stopDevicePolling(device.id);
+    releaseDeviceChannel(device);
+    removeDeviceNodes(device.id);
+    device.tags.forEach(tag => removeTagAlarm(device.id, tag.name));
+    deviceDiagnostics.delete(device.id);
+
+    devices.splice(devices.indexOf(device), 1);
+    syncListenServers();
+    updateAllCalculatedTags();
 }
 
-function removeDeviceVariables(deviceId) {
-    const variables = opcuaVariables.get(deviceId);
-    if (variables) {
-        variables.forEach(variable => {
-            // Удаляем переменную из адресного пространства
-            variable.dispose();
-        });
-        opcuaVariables.delete(deviceId);
-    }
+// Применяет полный список устройств: лишние удаляются, новые добавляются,
+// а устройства с прежней конфигурацией продолжают работать без переподключения
+function applyDevicesConfig(config) {
+    const ids = config.map(deviceConfig => deviceConfig.id);
+    devices.filter(device => !ids.includes(device.id)).forEach(removeDevice);
+
+    config.forEach(deviceConfig => {
+        const device = devices.find(d => d.id === deviceConfig.id);
+        if (!device) {
+            devices.push(deviceConfig);
+            initializeDevice(deviceConfig);
+        } else if (!isSameConfig(getDeviceConfig(device), deviceConfig)) {
+            applyDeviceUpdate(device, deviceConfig);
+        }
+    });
+    devices.sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id));
 }
 
 // Обработка завершения
@@ -532,15 +5198,23 @@ process.on("SIGINT", async () => {
     console.log("Остановка сервера...");
     
     // Закрываем все Modbus соединения
-    for (const [deviceId, client] of modbusClients) {
+    for (const channel of modbusChannels.values()) {
         try {
-            await client.close();
-            console.log(`Modbus соединение устройства ${deviceId} закрыто`);
+            await withTimeout(channel.client.close(), CLOSE_TIMEOUT, "Таймаут закрытия соединения");
+            console.log(`Modbus соединение канала ${channel.config.name} закрыто`);
         } catch (error) {
-            console.error(`Ошибка при закрытии Modbus соединения ${deviceId}:`, error.message);
+            console.error(`Ошибка при закрытии Modbus соединения ${channel.config.name}:`, error.message);
         }
     }
     
+    for (const deviceId of [...opcuaClients.keys()]) {
+        await closeOPCUAConnection(deviceId);
+    }
+
+    await flushHistory();
+    await stopModbusSlave();
+    await stopMqtt();
+
     // Останавливаем OPC UA сервер
     await server.shutdown();
     console.log("Сервер остановлен");
@@ -551,114 +5225,12 @@ process.on("unhandledRejection", (error) => {
     console.error("Необработанная ошибка:", error);
 });
 
-main().catch(error => {
-    console.error("Критическая ошибка при запуске:", error);
-    process.exit(1);
-
-});
-
-const net = require('net');
-
-// Создаем TCP сервер для приема подключений от модемов
-// const tcpServer = net.createServer((socket) => {
-//     const clientAddress = `${socket.remoteAddress}:${socket.remotePort}`;
-//     console.log(`Новое подключение от модема: ${clientAddress}`);
-    
-//     socket.on('data', (data) => {
-//         console.log(`Данные от модема ${clientAddress}:`, data.toString());
-//         // Здесь можно добавить обработку Modbus данных
-//     });
-    
-//     socket.on('close', () => {
-//         console.log(`Соединение с модемом ${clientAddress} закрыто`);
-//     });
-    
-//     socket.on('error', (err) => {
-//         console.error(`Ошибка с модемом ${clientAddress}:`, err.message);
-//     });
-// });
-
-// // Запускаем прослушивание на всех портах диапазона
-// function startModbusServers() {
-//     for (let port = 8000; port <= 8100; port++) {
-//         tcpServer.listen(port, '0.0.0.0', () => {
-//             console.log(`TCP сервер запущен на порту ${port}`);
-//         }).on('error', (err) => {
-//             console.error(`Не удалось запустить сервер на порту ${port}:`, err.message);
-//         });
-//     }
-// }
-
-let fl = false;
-
-const tcpServer = net.createServer((socket) => {
-  console.log('ESP8266 connected:', socket.remoteAddress);
-  deviceConnected = true;
-
-   if(!fl){
-       fl = true;
-        const client = new ModbusRTU();
-
-// open connection to a tcp line
-client.connectTCP("127.0.0.1", { port: 8010 });
-client.setID(1);
-
-// read the values of 10 registers starting at address 0
-// on device number 1. and log the values to the console.
-setInterval(function() {
-    client.readHoldingRegisters(512, 1, function(err, data) {
-        console.log(data.data);
-        console.log(err);
+// При подключении через require (проверки в test/) сервер не запускается
+if (require.main === module) {
+    main().catch(error => {
+        console.error("Критическая ошибка при запуске:", error);
+        process.exit(1);
     });
-}, 5000);
-   }
-
-  // socket.on('data', (data) => {
-  //   try {
-  //     const message = data.toString().trim();
-  //     console.log('Received from ESP:', message);
-
-  //     // Парсим данные в формате: TEMP:25.5,HUM:60.2
-  //     if (message.includes('TEMP:') && message.includes('HUM:')) {
-  //       const tempMatch = message.match(/TEMP:([\d.]+)/);
-  //       const humMatch = message.match(/HUM:([\d.]+)/);
-
-  //       if (tempMatch && humMatch) {
-  //         temperature = parseFloat(tempMatch[1]);
-  //         humidity = parseFloat(humMatch[1]);
-
-  //         console.log(`Updated - Temperature: ${temperature}°C, Humidity: ${humidity}%`);
-  //       }
-  //     }
-
-  //     // Отправляем подтверждение
-  //     socket.write('OK\n');
-
-  //   } catch (error) {
-  //     console.error('Error parsing data:', error);
-  //   }
-  // });
-
-  socket.on('close', () => {
-    console.log('ESP8266 disconnected');
-    deviceConnected = false;
-  });
-
-  socket.on('error', (err) => {
-    console.error('Socket error:', err);
-    deviceConnected = false;
-  });
-});
-
-// Запускаем сервер
-server.start(() => {
-  console.log(`OPC UA Server is listening on port ${server.endpoints[0].port}`);
-  console.log(`OPC UA endpoint: opc.tcp://localhost:4840/UA/MyServer`);
-});
-
-tcpServer.listen(8010, '0.0.0.0', () => {
-  console.log('TCP Server for ESP8266 listening on port 8010');
-});
-
-
+}
 
+module.exports = { parseWriteValue, compileExpression, convertModbusData, convertToModbusRegisters, parseCSV };
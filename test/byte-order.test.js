@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { convertModbusData, convertToModbusRegisters } = require('../server.js');
+
+const BYTE_ORDERS = ['ABCD', 'CDAB', 'BADC', 'DCBA'];
+
+// Значения с разными байтами во всех позициях, чтобы перестановка не прошла незамеченной
+const VALUES = {
+    int32: [0, 1, -1, 0x12345678, -0x12345678, 2147483647, -2147483648],
+    uint32: [0, 1, 0x12345678, 0x89ABCDEF, 4294967295],
+    float: [0, 1.5, -273.15, 3.4e38, -1.17549435e-38].map(Math.fround),
+    double: [0, 1.5, -273.15, Math.PI, 1.7976931348623157e308, -5e-324]
+};
+
+function tagOf(dataType, byteOrder) {
+    return { name: 't', registerType: 'holding', address: 0, dataType, byteOrder };
+}
+
+test('регистры 0x12345678 в каждом порядке байт', () => {
+    const expected = {
+        ABCD: [0x1234, 0x5678],
+        CDAB: [0x5678, 0x1234],
+        BADC: [0x3412, 0x7856],
+        DCBA: [0x7856, 0x3412]
+    };
+    for (const byteOrder of BYTE_ORDERS) {
+        const tag = tagOf('uint32', byteOrder);
+        assert.deepStrictEqual(convertToModbusRegisters(0x12345678, tag), expected[byteOrder], byteOrder);
+        assert.strictEqual(convertModbusData(expected[byteOrder], tag), 0x12345678, byteOrder);
+    }
+});
+
+test('double в порядке CDAB: младшее слово первым', () => {
+    const tag = tagOf('double', 'CDAB');
+    // 1.0 = 0x3FF0 0000 0000 0000
+    assert.deepStrictEqual(convertToModbusRegisters(1, tag), [0, 0, 0, 0x3FF0]);
+    assert.strictEqual(convertModbusData([0, 0, 0, 0x3FF0], tag), 1);
+});
+
+test('запись и чтение значения дают исходное значение', () => {
+    for (const [dataType, values] of Object.entries(VALUES)) {
+        for (const byteOrder of BYTE_ORDERS) {
+            const tag = tagOf(dataType, byteOrder);
+            for (const value of values) {
+                const registers = convertToModbusRegisters(value, tag);
+                assert.strictEqual(convertModbusData(registers, tag), value, `${dataType} ${byteOrder} ${value}`);
+            }
+        }
+    }
+});
+
+test('чтение и запись регистров дают исходные регистры', () => {
+    const samples = {
+        int32: [[0x1234, 0x5678], [0xFFFF, 0x0001], [0x8000, 0x0000]],
+        uint32: [[0x1234, 0x5678], [0xFFFF, 0xFFFE], [0x0000, 0x8001]],
+        float: [[0x4049, 0x0FDB], [0xC2C8, 0x1234], [0x0001, 0x3F80]],
+        double: [[0x4009, 0x21FB, 0x5444, 0x2D18], [0xC0AB, 0xCDEF, 0x0123, 0x4567], [0x0000, 0x0001, 0x3FF0, 0x0102]]
+    };
+    for (const [dataType, registerSets] of Object.entries(samples)) {
+        for (const byteOrder of BYTE_ORDERS) {
+            const tag = tagOf(dataType, byteOrder);
+            for (const registers of registerSets) {
+                const value = convertModbusData(registers, tag);
+                assert.deepStrictEqual(convertToModbusRegisters(value, tag), registers, `${dataType} ${byteOrder} ${registers}`);
+            }
+        }
+    }
+});
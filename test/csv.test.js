@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCSV } = require('../server.js');
+
+// Только ячейки записей, без номеров строк
+function cells(text) {
+    return parseCSV(text).map(record => record.cells);
+}
+
+test('простые записи и пустые ячейки', () => {
+    assert.deepStrictEqual(cells('name,address,unit\nt1,0,\nt2,1,°C'), [
+        ['name', 'address', 'unit'],
+        ['t1', '0', ''],
+        ['t2', '1', '°C']
+    ]);
+});
+
+test('кавычки, запятые и кавычки внутри поля', () => {
+    assert.deepStrictEqual(cells('name,description\nt1,"Давление, бар"\nt2,"Насос ""Н1"""\n"t3",""'), [
+        ['name', 'description'],
+        ['t1', 'Давление, бар'],
+        ['t2', 'Насос "Н1"'],
+        ['t3', '']
+    ]);
+});
+
+test('перевод строки внутри кавычек не завершает запись', () => {
+    const records = parseCSV('name,description\nt1,"первая\nвторая"\nt2,x\r\nt3,"a\r\nb"\r\nt4,y');
+    assert.deepStrictEqual(records.map(record => record.cells), [
+        ['name', 'description'],
+        ['t1', 'первая\nвторая'],
+        ['t2', 'x'],
+        ['t3', 'a\r\nb'],
+        ['t4', 'y']
+    ]);
+    // Номер строки файла учитывает переводы строк внутри полей
+    assert.deepStrictEqual(records.map(record => record.line), [1, 2, 4, 5, 7]);
+});
+
+test('BOM и переводы строк CRLF', () => {
+    const records = parseCSV('\uFEFFname,address\r\nt1,0\r\nt2,1\r\n');
+    assert.deepStrictEqual(records.map(record => record.cells), [
+        ['name', 'address'],
+        ['t1', '0'],
+        ['t2', '1']
+    ]);
+    assert.deepStrictEqual(records.map(record => record.line), [1, 2, 3]);
+});
+
+test('точка с запятой из Excel с русской локалью', () => {
+    assert.deepStrictEqual(cells('\uFEFFname;scaling;multiplier\r\nt1;linear;0,5\r\nt2;"a;b";1'), [
+        ['name', 'scaling', 'multiplier'],
+        ['t1', 'linear', '0,5'],
+        ['t2', 'a;b', '1']
+    ]);
+});
+
+test('пустые строки пропускаются, номера строк сохраняются', () => {
+    const records = parseCSV('name,address\n\nt1,0\n , \nt2,1\n\n');
+    assert.deepStrictEqual(records.map(record => record.cells), [
+        ['name', 'address'],
+        ['t1', '0'],
+        ['t2', '1']
+    ]);
+    assert.deepStrictEqual(records.map(record => record.line), [1, 3, 5]);
+});
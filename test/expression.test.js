@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compileExpression } = require('../server.js');
+
+// Значение выражения без ссылок на теги или со значениями ссылок по порядку references
+function evaluate(text, values = []) {
+    return compileExpression(text).evaluate(values);
+}
+
+test('приоритет операторов как в JavaScript', () => {
+    assert.strictEqual(evaluate('2 + 3 * 4'), 14);
+    assert.strictEqual(evaluate('(2 + 3) * 4'), 20);
+    assert.strictEqual(evaluate('10 - 4 - 3'), 3);
+    assert.strictEqual(evaluate('24 / 4 / 2'), 3);
+    assert.strictEqual(evaluate('1 + 2 < 4'), true);
+    assert.strictEqual(evaluate('1 | 2 & 3'), 3);
+    assert.strictEqual(evaluate('1 << 2 + 1'), 8);
+    assert.strictEqual(evaluate('0 || 1 && 0'), 0);
+    assert.strictEqual(evaluate('1 ? 2 : 0 ? 3 : 4'), 2);
+    assert.strictEqual(evaluate('0 ? 2 : 0 ? 3 : 4'), 4);
+});
+
+test('унарный минус', () => {
+    assert.strictEqual(evaluate('-2 * 3'), -6);
+    assert.strictEqual(evaluate('2 - -3'), 5);
+    assert.strictEqual(evaluate('-(1 + 2)'), -3);
+    assert.strictEqual(evaluate('--4'), 4);
+    assert.strictEqual(evaluate('-abs(-5)'), -5);
+    assert.strictEqual(evaluate('!0'), true);
+    assert.strictEqual(evaluate('~0'), -1);
+});
+
+test('деление на ноль дает нечисловой результат', () => {
+    assert.strictEqual(evaluate('1 / 0'), Infinity);
+    assert.strictEqual(evaluate('-1 / 0'), -Infinity);
+    assert.ok(Number.isNaN(evaluate('0 / 0')));
+    assert.ok(Number.isNaN(evaluate('5 % 0')));
+});
+
+test('ссылки на теги и функции', () => {
+    const expression = compileExpression('[Котел/Температура] * 2 + [Уставка] - [Котел/Температура]');
+    assert.deepStrictEqual(expression.references, [
+        { deviceName: 'Котел', tagName: 'Температура' },
+        { deviceName: null, tagName: 'Уставка' }
+    ]);
+    assert.strictEqual(expression.evaluate([10, 5]), 15);
+    assert.strictEqual(evaluate('max([a], [b], 3)', [1, 7]), 7);
+    assert.strictEqual(evaluate('pow(2, 10)'), 1024);
+    assert.strictEqual(evaluate('true && false'), false);
+    assert.strictEqual(evaluate('0x10 + 1e2'), 116);
+});
+
+test('неизвестные имена отклоняются', () => {
+    assert.throws(() => compileExpression('foo(1)'), /неизвестная функция foo/);
+    assert.throws(() => compileExpression('x + 1'), /неизвестная функция x/);
+    assert.throws(() => compileExpression('abs(1, 2)'), /неверное число аргументов функции abs/);
+    assert.throws(() => compileExpression('max()'), /неверное число аргументов функции max/);
+    assert.throws(() => compileExpression('[Котел/]'), /неверная ссылка на тег/);
+});
+
+test('синтаксические ошибки', () => {
+    assert.throws(() => compileExpression(''), /пустое выражение/);
+    assert.throws(() => compileExpression('1 +'), /выражение оборвано/);
+    assert.throws(() => compileExpression('(1 + 2'), /ожидается "\)" в конце выражения/);
+    assert.throws(() => compileExpression('1 ? 2'), /ожидается ":"/);
+    assert.throws(() => compileExpression('1 2'), /лишний символ "2"/);
+    assert.throws(() => compileExpression('* 2'), /неожиданный символ "\*"/);
+    assert.throws(() => compileExpression('1 $ 2'), /неверный символ "\$" в позиции 3/);
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+const { Aedes } = require('aedes');
+const mqtt = require('mqtt');
+const ModbusRTU = require('modbus-serial');
+
+// Мост запускается отдельным процессом со своими файлами конфигурации.
+// Порты веб-интерфейса и OPC UA фиксированы, поэтому другой экземпляр моста
+// во время проверки должен быть остановлен
+const BROKER_PORT = 18830;
+const MODBUS_PORT = 15020;
+const WAIT_TIMEOUT = 30000;
+
+const device = {
+    id: 'plc',
+    name: 'Plc',
+    type: 'tcp',
+    address: '127.0.0.1',
+    port: MODBUS_PORT,
+    deviceId: 1,
+    pollInterval: 200,
+    tags: [{ name: 'level', registerType: 'holding', address: 0, dataType: 'uint16' }]
+};
+const mqttConfig = {
+    enabled: true,
+    brokerUrl: `mqtt://127.0.0.1:${BROKER_PORT}`,
+    qos: 1,
+    retain: true,
+    valueTopic: 'test/{device}/{tag}',
+    commandTopic: 'test/{device}/{tag}/set',
+    statusTopic: 'test/bridge/status'
+};
+
+// Ждет сообщение в топике, для которого check возвращает true
+function waitForMessage(client, topic, check) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            client.off('message', onMessage);
+            reject(new Error(`Нет сообщения в топике ${topic}`));
+        }, WAIT_TIMEOUT);
+        function onMessage(messageTopic, payload, packet) {
+            if (messageTopic !== topic) return;
+            const message = JSON.parse(payload.toString());
+            if (!check(message, packet)) return;
+            clearTimeout(timer);
+            client.off('message', onMessage);
+            resolve({ message, packet });
+        }
+        client.on('message', onMessage);
+    });
+}
+
+test('публикация значений и команды записи через MQTT', { timeout: 90000 }, async (t) => {
+    // Ресурсы освобождаются в обратном порядке: брокер и сервер Modbus
+    // закрываются только после остановки моста, который к ним подключен
+    const cleanup = [];
+    t.after(async () => {
+        for (const step of cleanup.reverse()) await step();
+    });
+
+    const broker = await Aedes.createBroker();
+    const brokerServer = net.createServer(broker.handle);
+    await new Promise(resolve => brokerServer.listen(BROKER_PORT, '127.0.0.1', resolve));
+    cleanup.push(() => new Promise(resolve => broker.close(() => brokerServer.close(resolve))));
+
+    const registers = [42];
+    let onRegisterWrite = () => {};
+    const modbusServer = new ModbusRTU.ServerTCP({
+        getHoldingRegister: (address) => registers[address] ?? 0,
+        setRegister: (address, value) => {
+            registers[address] = value;
+            onRegisterWrite(address, value);
+        }
+    }, { host: '127.0.0.1', port: MODBUS_PORT, unitID: 1 });
+    cleanup.push(() => new Promise(resolve => modbusServer.close(resolve)));
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-mqtt-'));
+    fs.writeFileSync(path.join(dir, 'devices.json'), JSON.stringify([device]));
+    fs.writeFileSync(path.join(dir, 'mqtt.json'), JSON.stringify(mqttConfig));
+    cleanup.push(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const observer = await mqtt.connectAsync(mqttConfig.brokerUrl);
+    cleanup.push(() => observer.endAsync());
+    await observer.subscribeAsync('test/#', { qos: 1 });
+    const online = waitForMessage(observer, mqttConfig.statusTopic, message => message.status === 'online');
+    const firstValue = waitForMessage(observer, 'test/Plc/level', message => message.value === 42);
+
+    let output = '';
+    const bridge = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], { cwd: dir });
+    bridge.stdout.on('data', data => { output += data; });
+    bridge.stderr.on('data', data => { output += data; });
+    const exited = new Promise(resolve => bridge.on('exit', code => {
+        if (code !== null) t.diagnostic(`Мост завершился с кодом ${code}:\n${output}`);
+        resolve();
+    }));
+    cleanup.push(() => {
+        bridge.kill('SIGKILL');
+        return exited;
+    });
+
+    await online;
+    const { message } = await firstValue;
+    assert.strictEqual(message.quality, 'Good');
+
+    // Новый подписчик сразу получает последнее значение, сохраненное брокером
+    const late = await mqtt.connectAsync(mqttConfig.brokerUrl);
+    cleanup.push(() => late.endAsync());
+    const retained = waitForMessage(late, 'test/Plc/level', (message, packet) => packet.retain);
+    await late.subscribeAsync('test/Plc/level', { qos: 1 });
+    assert.strictEqual((await retained).message.value, 42);
+
+    // Команда доходит до регистра устройства, а новое значение публикуется обратно
+    const written = new Promise(resolve => {
+        onRegisterWrite = (address, value) => resolve({ address, value });
+    });
+    const updated = waitForMessage(observer, 'test/Plc/level', message => message.value === 7);
+    await observer.publishAsync('test/Plc/level/set', JSON.stringify({ value: 7 }), { qos: 1 });
+    assert.deepStrictEqual(await written, { address: 0, value: 7 });
+    assert.strictEqual((await updated).message.quality, 'Good');
+});
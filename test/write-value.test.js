@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseWriteValue } = require('../server.js');
+
+const coil = { name: 'run', registerType: 'coil', address: 0, dataType: 'boolean' };
+const bit = { name: 'b', registerType: 'holding', address: 0, dataType: 'bit', bitIndex: 3 };
+
+test('логическое значение из формы и MQTT', () => {
+    for (const tag of [coil, bit]) {
+        assert.strictEqual(parseWriteValue(tag, 'false'), false);
+        assert.strictEqual(parseWriteValue(tag, false), false);
+        assert.strictEqual(parseWriteValue(tag, '0'), false);
+        assert.strictEqual(parseWriteValue(tag, 0), false);
+        assert.strictEqual(parseWriteValue(tag, 'true'), true);
+        assert.strictEqual(parseWriteValue(tag, true), true);
+        assert.strictEqual(parseWriteValue(tag, '1'), true);
+        assert.strictEqual(parseWriteValue(tag, 5), true);
+    }
+});
+
+test('неизвестное логическое значение отклоняется', () => {
+    assert.throws(() => parseWriteValue(coil, 'off'));
+    assert.throws(() => parseWriteValue(coil, ''));
+    assert.throws(() => parseWriteValue(coil, null));
+});